@@ -0,0 +1,53 @@
+// /api/booking-link.js
+// Personal survey booking link for a Salesforce Lead (lib/links.js).
+//
+//   POST /api/booking-link              JSON body { leadId }
+//   POST /api/booking-link?leadId=<id>
+//
+// Answers { ok, leadId, url, bookingUrl, eventType, writtenTo }: `url` is the
+// single-use link prefilled for the Lead, `writtenTo` the Lead field it was
+// stored in (SF_LEAD_LINK_FIELD) or null. ?org=<id> uses another org from the
+// routing rules (lib/routing.js). 404 for an unknown Lead, 409 for a converted
+// one, 502 when Calendly or Salesforce fails.
+// Requires Authorization: Bearer <SYNC_ADMIN_TOKEN or CRON_SECRET>.
+
+import { json, readRawBody, parseJson, queryParam } from '../lib/http.js';
+import { isAdminRequest } from '../lib/auth.js';
+import { createSalesforceClient } from '../lib/salesforce.js';
+import { orgContext, orgToken, DEFAULT_ORG } from '../lib/routing.js';
+import { createLeadLink } from '../lib/links.js';
+import { createLogger, requestIdOf, errorFields } from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  const log = createLogger({ component: 'booking-link', requestId: requestIdOf(req) });
+  if (req.method !== 'POST') return json(res, 405, { ok: false, error: 'Method not allowed' });
+  if (!isAdminRequest(req)) {
+    log.warn('link.unauthorized');
+    return json(res, 401, { ok: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const body = parseJson(await readRawBody(req)) || {};
+    const leadId = String(body.leadId || queryParam(req, 'leadId') || '').trim();
+    const org = orgContext(queryParam(req, 'org') || DEFAULT_ORG);
+
+    const link = await createLeadLink(leadId, {
+      sf: createSalesforceClient(org.sf),
+      token: orgToken(org),
+      eventType: org.surveyEventType
+    });
+    log.info('link.created', { org: org.id, leadId: link.leadId, bookingUrl: link.bookingUrl, writtenTo: link.writtenTo });
+    return json(res, 200, { ok: true, org: org.id, ...link });
+  } catch (err) {
+    // Calendly or Salesforce refusing is a gateway failure, whatever status
+    // they answered with; our own 4xx errors pass through.
+    const fields = errorFields(err);
+    const code = fields.service ? 502 : err.status && err.status < 500 ? err.status : 500;
+    log[code < 500 ? 'warn' : 'error']('link.failed', fields);
+    return json(res, code, {
+      ok: false,
+      error: String(err.message || err),
+      details: err.details || undefined
+    });
+  }
+}
@@ -1,13 +1,11 @@
 // /api/calendly-health.js
+// Alias for /api/health?checks=calendly,webhook, keeping the old fields.
+import { respondHealth } from '../lib/health.js';
+
 export default async function handler(req, res) {
-  try {
-    const r = await fetch('https://api.calendly.com/users/me', {
-      headers: { Authorization: `Bearer ${process.env.CALENDLY_PAT}` }
-    });
-    const ok = r.ok;
-    const j = await r.json().catch(()=>({}));
-    res.status(ok ? 200 : 500).json({ ok, status: r.status, whoami: j?.resource?.slug || null });
-  } catch (e) {
-    res.status(500).json({ ok:false, error:String(e) });
-  }
+  return respondHealth(req, res, {
+    component: 'calendly-health',
+    names: ['calendly', 'webhook'],
+    legacy: ({ checks }) => ({ whoami: checks[0].detail.whoami || null, status: checks[0].detail.status ?? (checks[0].ok ? 200 : null) })
+  });
 }
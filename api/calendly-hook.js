@@ -1,194 +1,328 @@
 // /api/calendly-hook.js
-// PRODUCTION VERSION - Updated Oct 31, 2025
+//
+// Accepts native Calendly v2 webhook deliveries ({ event, payload }) signed with
+// the Calendly-Webhook-Signature header. The legacy front-end body
+// ({ inviteeUri, eventUri, email }) is only honoured when
+// CALENDLY_HOOK_ALLOW_LEGACY is enabled, and only for URIs under the Calendly
+// API's /scheduled_events/ (they are fetched with our token). The signing key is
+// CALENDLY_WEBHOOK_SIGNING_KEY or the one stored by /api/calendly-webhooks.
+//
+// Bookings that fail to sync, or whose Lead doesn't exist yet, are acknowledged
+// with 202 and parked in the retry queue (lib/queue.js) for the cron to drain.
+// invitee_no_show.created / .deleted deliveries re-sync the invitee with its
+// no-show mark set or cleared; for marks made more than SYNC_LOOKBACK_HOURS
+// after the meeting started they are the only path, as the cron no longer
+// sweeps that meeting.
+// Every authenticated delivery is recorded in the run history (lib/runs.js).
+//
+// With routing rules (lib/routing.js) the delivery's org is ?org=<id>, else
+// whichever org's signing key verifies it; that org's Calendly token and
+// Salesforce connection are used, and the booking's route picks the mapping
+// (or ignores it).
+
+import { json as sendJson, readRawBody, parseJson, header, queryParam, envFlag, truthy } from '../lib/http.js';
+import {
+  calendlyGet,
+  eventUriOfInvitee,
+  isScheduledEventUri,
+  verifyWebhookSignature,
+  DEFAULT_SIGNATURE_TOLERANCE_SEC
+} from '../lib/calendly.js';
+import { createSalesforceClient } from '../lib/salesforce.js';
+import { planInvitee } from '../lib/survey.js';
+import { MappingError } from '../lib/mapping.js';
+import { EMAIL_RE } from '../lib/matching.js';
+import { createQueue } from '../lib/queue.js';
+import { syncBooking } from '../lib/sync.js';
+import { createLedger } from '../lib/ledger.js';
+import { createLinkRegistry } from '../lib/links.js';
+import { createLogger, requestIdOf, errorFields } from '../lib/logger.js';
+import { recordRun, runItem, privateDiff } from '../lib/runs.js';
+import { webhookConfig, webhookSigningKey } from '../lib/webhooks.js';
+import { orgContext, orgContexts, orgToken, resolveRoute, DEFAULT_ORG } from '../lib/routing.js';
+import { paymentSummary } from '../lib/payment.js';
+
+const NO_SHOW_EVENTS = new Set(['invitee_no_show.created', 'invitee_no_show.deleted']);
+const HANDLED_EVENTS = new Set(['invitee.created', 'invitee.canceled', ...NO_SHOW_EVENTS]);
+
+function corsHeaders() {
+  if (!envFlag('CALENDLY_HOOK_ALLOW_LEGACY')) return {};
+  return {
+    'Access-Control-Allow-Origin': process.env.CALENDLY_HOOK_ALLOWED_ORIGIN || '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+}
 
 function json(res, code, obj) {
-  res.statusCode = code;
-  res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.end(JSON.stringify(obj));
+  sendJson(res, code, obj, corsHeaders());
+}
+
+// Tries each candidate org's key; resolves to { org } or { error, status }.
+async function verifyDelivery({ signature, rawBody, orgs }) {
+  let reason = null;
+  for (const org of orgs) {
+    const signingKey = await webhookSigningKey(webhookConfig(process.env, org));
+    if (!signingKey) continue;
+    const check = verifyWebhookSignature({ header: signature, rawBody, signingKey, toleranceSec: signatureTolerance() });
+    if (check.ok) return { org };
+    reason = check.reason;
+  }
+  if (!reason) return { status: 500, error: 'No webhook signing key (set CALENDLY_WEBHOOK_SIGNING_KEY or create the subscription via /api/calendly-webhooks)' };
+  return { status: 401, error: 'Invalid webhook signature', reason };
+}
+
+function signatureTolerance() {
+  const v = Number(process.env.CALENDLY_WEBHOOK_TOLERANCE_SEC);
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_SIGNATURE_TOLERANCE_SEC;
 }
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    for (const [k, v] of Object.entries(corsHeaders())) res.setHeader(k, v);
     res.statusCode = 204; return res.end();
   }
   if (req.method !== 'POST') return json(res, 405, { ok:false, error:'Method not allowed' });
 
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('📞 Calendly Webhook Received (PRODUCTION)');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  let log = createLogger({ component: 'calendly-hook', requestId: requestIdOf(req) });
+  const startedAt = new Date().toISOString();
+  let booking = null;
+  let dryRun = false;
+
+  // Responds and records the delivery in the run history.
+  const finish = async (code, obj, { items = [], error = null } = {}) => {
+    await recordRun(log, {
+      id: log.context.requestId,
+      type: 'webhook',
+      startedAt,
+      ok: code === 200 && obj.ok !== false && !error,
+      dryRun,
+      httpStatus: code,
+      message: obj.reason || obj.status || (obj.ignored ? 'ignored' : null),
+      error: error ? String(error.message || error) : null,
+      items,
+      meta: { webhookEvent: booking?.webhookEvent || obj.event || null, inviteeUri: booking?.inviteeUri || null }
+    });
+    return json(res, code, obj);
+  };
 
   try {
-    const { inviteeUri, eventUri, email } = req.body || {};
-    if (!inviteeUri || !eventUri || !email) {
-      return json(res, 400, { ok:false, error:'inviteeUri, eventUri, email are required' });
+    // ---- Authenticate delivery ----
+    const rawBody = await readRawBody(req);
+    const body = parseJson(rawBody);
+    if (!body || typeof body !== 'object') {
+      return json(res, 400, { ok:false, error:'Invalid JSON body' });
     }
 
-    console.log(`Email: ${email}`);
-
-    // ---- Calendly API ----
-    const token = (process.env.CALENDLY_PAT || '').trim();
-    if (!token) return json(res, 500, { ok:false, error:'Missing CALENDLY_PAT env var' });
-    const CAL_AUTH = `Bearer ${token}`;
-
-    const invRes = await fetch(inviteeUri, { headers: { Authorization: CAL_AUTH } });
-    if (!invRes.ok) throw new Error(`Calendly invitee error ${invRes.status}`);
-    const inv = await invRes.json();
-
-    const evtRes = await fetch(eventUri, { headers: { Authorization: CAL_AUTH } });
-    if (!evtRes.ok) throw new Error(`Calendly event error ${evtRes.status}`);
-    const evt = await evtRes.json();
-
-    // Extract date/time + payment
-    const startISO = evt?.resource?.start_time || null;
-    const tz       = inv?.resource?.timezone || evt?.resource?.timezone || 'UTC';
-    let startLocal = null;
-    if (startISO) {
-      try { startLocal = new Date(startISO).toLocaleString('en-GB', { timeZone: tz }); } catch {}
+    const signature = header(req, 'calendly-webhook-signature');
+    const isEnvelope = typeof body.event === 'string' && body.payload && typeof body.payload === 'object';
+    const requestedOrg = queryParam(req, 'org');
+    let org;
+    try {
+      org = orgContext(requestedOrg || DEFAULT_ORG);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return json(res, 400, { ok:false, error: err.message });
     }
-    const surveyDate = startISO ? String(startISO).slice(0, 10) : null;
-    const payment    = inv?.resource?.payment || null;
-    const paid       = !!(payment && (payment.amount || payment.external_id || payment.provider));
-    const amount     = payment?.amount ?? null;
-    const currency   = payment?.currency ?? null;
-
-    console.log(`Survey Date: ${surveyDate}`);
-    console.log(`Payment Status: ${paid ? 'PAID' : 'NOT PAID'}`);
-
-    // ---- Salesforce auth ----
-    const loginUrl   = process.env.SF_LOGIN_URL || 'https://login.salesforce.com';
-    const apiVersion = process.env.SF_API_VERSION || 'v61.0';
-
-    async function sfTokenClientCredentials() {
-      const url = `${loginUrl}/services/oauth2/token`;
-      const body = new URLSearchParams({
-        grant_type: 'client_credentials',
-        client_id: process.env.SF_CLIENT_ID,
-        client_secret: process.env.SF_CLIENT_SECRET,
-        ...(process.env.SF_AUDIENCE ? { audience: process.env.SF_AUDIENCE } : {})
-      });
-      const r = await fetch(url, { method: 'POST', body });
-      if (!r.ok) throw new Error(`SF token (client_credentials) ${r.status}`);
-      return r.json();
+
+    if (isEnvelope || signature) {
+      const check = await verifyDelivery({ signature, rawBody, orgs: requestedOrg ? [org] : orgContexts() });
+      if (!check.org) {
+        if (check.reason) log.warn('webhook.rejected', { reason: check.reason, durationMs: log.elapsed() });
+        return json(res, check.status, { ok:false, error: check.error });
+      }
+      org = check.org;
+    } else if (!envFlag('CALENDLY_HOOK_ALLOW_LEGACY')) {
+      log.warn('webhook.rejected', { reason: 'unsigned legacy request', durationMs: log.elapsed() });
+      return json(res, 401, { ok:false, error:'Missing Calendly-Webhook-Signature' });
     }
-    async function sfTokenPassword() {
-      const url = `${loginUrl}/services/oauth2/token`;
-      const body = new URLSearchParams({
-        grant_type: 'password',
-        client_id: process.env.SF_CLIENT_ID,
-        client_secret: process.env.SF_CLIENT_SECRET,
-        username: process.env.SF_USERNAME,
-        password: (process.env.SF_PASSWORD || '') + (process.env.SF_SECURITY_TOKEN || '')
-      });
-      const r = await fetch(url, { method: 'POST', body });
-      if (!r.ok) throw new Error(`SF token (password) ${r.status}`);
-      return r.json();
+
+    // ---- Identify the booking ----
+    if (isEnvelope) {
+      if (!HANDLED_EVENTS.has(body.event)) {
+        log.info('webhook.ignored', { webhookEvent: body.event, durationMs: log.elapsed() });
+        return finish(200, { ok:true, ignored:true, event: body.event });
+      }
+      const payload = body.payload;
+      if (NO_SHOW_EVENTS.has(body.event)) {
+        // The payload is the no-show resource; the invitee is fetched below.
+        if (!payload.invitee) return json(res, 400, { ok:false, error:'payload.invitee is required' });
+        booking = { inviteeUri: payload.invitee, eventUri: eventUriOfInvitee(payload.invitee), email: null, webhookEvent: body.event };
+      } else {
+        if (!payload.uri || !payload.event || !payload.email) {
+          return json(res, 400, { ok:false, error:'payload.uri, payload.event, payload.email are required' });
+        }
+        booking = { inviteeUri: payload.uri, eventUri: payload.event, email: payload.email, webhookEvent: body.event };
+      }
+    } else {
+      const { inviteeUri, eventUri, email } = body;
+      if (!inviteeUri || !eventUri || !email) {
+        return json(res, 400, { ok:false, error:'inviteeUri, eventUri, email are required' });
+      }
+      if (!isScheduledEventUri(inviteeUri) || !isScheduledEventUri(eventUri)) {
+        log.warn('webhook.rejected', { reason: 'legacy URI outside the Calendly API', durationMs: log.elapsed() });
+        return json(res, 400, { ok:false, error:'inviteeUri and eventUri must be Calendly scheduled event URIs' });
+      }
+      booking = { inviteeUri, eventUri, email, webhookEvent: 'legacy' };
     }
 
-    const flow = (process.env.SF_AUTH_FLOW || 'client_credentials').toLowerCase();
-    const tok  = flow === 'password' ? await sfTokenPassword() : await sfTokenClientCredentials();
+    booking.org = org.id;
+    let { email } = booking;
+    if (email !== null && !EMAIL_RE.test(email)) {
+      return json(res, 400, { ok: false, error: 'Invalid email format' });
+    }
 
-    const access_token = tok.access_token;
-    const base = tok.instance_url || process.env.SF_INSTANCE_URL;
-    if (!access_token) throw new Error('Missing Salesforce access_token');
-    if (!base) throw new Error('Missing Salesforce instance_url (set SF_INSTANCE_URL)');
+    // Past this point failures are queued for the cron to retry, so Calendly
+    // gets a quick answer instead of waiting on our own retry loop.
+    // Dry run: same reads and lookups, but nothing is written to Salesforce,
+    // the ledger or the queue; the response carries the planned field diff.
+    dryRun = truthy(header(req, 'x-dry-run')) || body.dryRun === true;
+    log = log.child({ inviteeUri: booking.inviteeUri, org: org.id });
+    log.info('webhook.received', { webhookEvent: booking.webhookEvent, email, dryRun });
 
-    console.log(`Salesforce Instance: ${base}`);
+    const queue = createQueue(undefined, undefined, { readOnly: dryRun });
+    let plan, route, result;
 
-    // ---- Find Lead by email WITH RETRY LOGIC ----
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return json(res, 400, { ok: false, error: 'Invalid email format' });
-    }
-    
-    const safeEmail = email.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-    const soql = `SELECT Id FROM Lead WHERE Email = '${safeEmail}' ORDER BY CreatedDate DESC LIMIT 1`;
-    const qUrl = `${base}/services/data/${apiVersion}/query?q=${encodeURIComponent(soql)}`;
-    
-    let leadId = null;
-    const maxAttempts = 5;
-    
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      console.log(`Searching for lead (attempt ${attempt}/${maxAttempts})...`);
-      
-      const qRes = await fetch(qUrl, { headers: { Authorization: `Bearer ${access_token}` } });
-      if (!qRes.ok) throw new Error(`SF query error ${qRes.status}`);
-      const q = await qRes.json();
-      leadId = q?.records?.[0]?.Id || null;
-      
-      if (leadId) {
-        console.log(`✅ Lead found: ${leadId}`);
-        break;
+    try {
+      // ---- Resolve invitee + scheduled event ----
+      const token = orgToken(org);
+      let inv, evt;
+      if (NO_SHOW_EVENTS.has(booking.webhookEvent)) {
+        inv = await calendlyGet(booking.inviteeUri, token);
+        evt = await calendlyGet(inv?.resource?.event || booking.eventUri, token);
+        // Calendly may not reflect the change on the invitee yet; the delivery
+        // itself says which way it went.
+        inv.resource.no_show = booking.webhookEvent === 'invitee_no_show.created'
+          ? { uri: body.payload.uri, created_at: body.payload.created_at || new Date().toISOString() }
+          : null;
+        email = booking.email = inv.resource.email;
+      } else if (isEnvelope) {
+        const payload = body.payload;
+        inv = { resource: payload };
+        evt = payload.scheduled_event
+          ? { resource: payload.scheduled_event }
+          : await calendlyGet(payload.event, token);
+      } else {
+        inv = await calendlyGet(booking.inviteeUri, token);
+        evt = await calendlyGet(booking.eventUri, token);
       }
-      
-      if (attempt < maxAttempts) {
-        const delayMs = Math.pow(2, attempt) * 1000;
-        console.log(`⏳ Lead not found, waiting ${delayMs}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      // A cancelled invitee that was rescheduled is followed to its replacement,
+      // so the old and new deliveries both converge on the new date.
+      plan = await planInvitee({ invitee: inv?.resource, event: evt?.resource }, token);
+
+      // ---- Route ----
+      route = await resolveRoute({ orgId: org.id, invitee: plan.invitee, event: plan.event, token });
+      if (route.ignore) {
+        await queue.complete(booking.inviteeUri);
+        log.info('booking.ignored', { route: route.name, action: plan.action, durationMs: log.elapsed() });
+        return finish(200, { ok:true, ignored:true, dryRun, route: route.name, action: plan.action });
       }
-    }
-    
-    if (!leadId) {
-      console.log(`❌ Lead not found after ${maxAttempts} attempts`);
-      return json(res, 404, { 
-        ok: false, 
-        error: `Lead not found by email after ${maxAttempts} attempts`, 
+
+      // ---- Salesforce ----
+      const sf = createSalesforceClient(org.sf);
+      await sf.authenticate();
+
+      result = await syncBooking(sf, {
+        plan,
         email,
-        startTime: startISO, 
-        surveyDate, 
-        paid
+        mapping: route.mapping,
+        matching: route.matching,
+        recordTypeId: route.recordTypeId,
+        ledger: createLedger(),
+        links: createLinkRegistry(),
+        dryRun
       });
+    } catch (err) {
+      log.error('booking.failed', {
+        action: plan?.action,
+        ...errorFields(err),
+        problems: err instanceof MappingError ? err.problems : undefined
+      });
+      return defer(finish, log, queue, booking, { reason: 'error', error: err });
     }
 
-    // ---- Update Lead (PRODUCTION FIELDS) ----
-    console.log(`Updating lead ${leadId}...`);
-    
-    const patchUrl  = `${base}/services/data/${apiVersion}/sobjects/Lead/${leadId}`;
-    
-    // PRODUCTION: Using field API names (should match production schema)
-    const patchBody = {
-      Survey_scheduled__c: surveyDate || "",
-      Survey_payment_complete__c: !!paid
-    };
-
-    console.log('Update payload:', JSON.stringify(patchBody, null, 2));
-    
-    const pRes = await fetch(patchUrl, {
-      method: 'PATCH',
-      headers: { Authorization: `Bearer ${access_token}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify(patchBody)
-    });
-    
-    if (!pRes.ok) {
-      const body = await pRes.text().catch(()=> '');
-      console.log(`❌ Salesforce update failed: ${pRes.status}`);
-      console.log(`Response: ${body.slice(0, 500)}`);
-      return json(res, 500, { 
-        ok: false, 
-        error: `SF patch error ${pRes.status}`, 
-        details: body.slice(0,400),
-        leadId,
-        email
-      });
+    log = log.child({ leadId: result.recordId });
+    if (result.warnings.length) log.warn('booking.warnings', { warnings: result.warnings });
+    if (result.attrs.payment_mismatch) log.warn('payment.mismatch', paymentSummary(result.attrs));
+
+    if (result.status === 'unmatched') {
+      // Web-to-lead can lag behind the booking; let the queue look again later.
+      return defer(finish, log, queue, booking, { reason: 'unmatched', outcome: result.outcome, result });
     }
 
-    console.log('✅ Lead updated successfully!');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    await queue.complete(booking.inviteeUri);
 
-    return json(res, 200, { 
-      ok: true, 
-      leadId,
-      email,
-      surveyDate, 
-      paid,
-      message: 'Lead updated successfully'
+    log.info('booking.synced', {
+      route: route.name,
+      outcome: result.outcome,
+      status: result.status,
+      sobject: result.sobject,
+      action: plan.action,
+      payment: result.attrs.payment_status,
+      dryRun,
+      changed: Object.keys(result.changes),
+      activity: result.activity.status,
+      eventId: result.activity.eventId || undefined,
+      durationMs: log.elapsed()
     });
+
+    return finish(200, {
+      ok: true,
+      dryRun,
+      org: org.id,
+      route: route.name,
+      outcome: result.outcome,
+      status: result.status,
+      sobject: result.sobject,
+      leadId: result.recordId,
+      email,
+      action: plan.action,
+      surveyDate: plan.action === 'cancel' ? null : result.attrs.start_date,
+      paid: result.attrs.paid,
+      payment: paymentSummary(result.attrs),
+      fields: result.fields,
+      diff: privateDiff(result.diff),
+      changes: result.changes,
+      activity: result.activity,
+      warnings: result.warnings
+    }, { items: [runItem({ inviteeUri: booking.inviteeUri, email, result })] });
   } catch (err) {
-    console.error('❌ Webhook error:', err);
-    console.error('Stack:', err.stack);
-    return json(res, 500, { ok: false, error: String(err.message || err) });
+    log.error('webhook.failed', { ...errorFields(err), stack: err.stack, durationMs: log.elapsed() });
+    const body = { ok: false, error: String(err.message || err) };
+    if (!booking) return json(res, 500, body);
+    return finish(500, body, { error: err, items: [runItem({ inviteeUri: booking.inviteeUri, email: booking.email, error: err })] });
+  }
+}
+
+async function defer(finish, log, queue, booking, { reason, error = null, outcome = null, result = null }) {
+  const item = await queue.enqueue(booking.inviteeUri, booking, { reason, error });
+  const items = [runItem({ inviteeUri: booking.inviteeUri, email: booking.email, result, error, reason })];
+  if (queue.readOnly) {
+    return finish(200, {
+      ok: !error,
+      dryRun: true,
+      wouldQueue: true,
+      reason,
+      outcome,
+      error: error ? String(error.message || error) : null
+    }, { items, error });
   }
+  log.warn('booking.queued', {
+    reason,
+    outcome: outcome || undefined,
+    attempts: item.attempts,
+    queueStatus: item.status,
+    nextAttemptAt: item.nextAttemptAt,
+    durationMs: log.elapsed()
+  });
+  return finish(202, {
+    ok: true,
+    queued: true,
+    reason,
+    outcome,
+    error: error ? String(error.message || error) : null,
+    attempts: item.attempts,
+    status: item.status,
+    nextAttemptAt: item.nextAttemptAt
+  }, { items, error });
 }
@@ -0,0 +1,90 @@
+// /api/calendly-webhooks.js
+// Admin endpoint for the Calendly webhook subscription (lib/webhooks.js).
+//
+//   GET    /api/calendly-webhooks              list subscriptions in scope
+//   POST   /api/calendly-webhooks              create one for this deployment
+//                                              (409 with a generated key while
+//                                              one exists; use PUT)
+//   PUT    /api/calendly-webhooks              ensure exactly one, active, with
+//                                              every handled event
+//   DELETE /api/calendly-webhooks?uri=<uri>    delete a subscription
+//
+// POST/PUT accept an optional JSON body { callbackUrl, events }; the callback
+// defaults to CALENDLY_WEBHOOK_URL or this host's /api/calendly-hook.
+// ?org=<id> manages another org from the routing rules (lib/routing.js); its
+// callback gets ?org=<id> appended.
+// Requires Authorization: Bearer <SYNC_ADMIN_TOKEN or CRON_SECRET>.
+
+import { json, readRawBody, parseJson, queryParam } from '../lib/http.js';
+import { isAdminRequest } from '../lib/auth.js';
+import { calendlyApiUrl, webhookCallbackUrl } from '../lib/calendly.js';
+import { createWebhookManager, orgCallbackUrl, webhookConfig, WEBHOOK_EVENTS } from '../lib/webhooks.js';
+import { orgContext, orgToken, DEFAULT_ORG } from '../lib/routing.js';
+import { createLogger, requestIdOf, errorFields } from '../lib/logger.js';
+
+const summarize = (sub, callbackUrl) => ({
+  uri: sub.uri,
+  callbackUrl: sub.callback_url,
+  state: sub.state,
+  scope: sub.scope,
+  events: sub.events,
+  createdAt: sub.created_at,
+  ours: sub.callback_url === callbackUrl
+});
+
+export default async function handler(req, res) {
+  const log = createLogger({ component: 'calendly-webhooks', requestId: requestIdOf(req) });
+  if (!isAdminRequest(req)) {
+    log.warn('webhooks.unauthorized');
+    return json(res, 401, { ok: false, error: 'Unauthorized' });
+  }
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return json(res, 405, { ok: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const org = orgContext(queryParam(req, 'org') || DEFAULT_ORG);
+    const body = ['POST', 'PUT'].includes(req.method) ? parseJson(await readRawBody(req)) || {} : {};
+    const callbackUrl = body.callbackUrl || orgCallbackUrl(webhookCallbackUrl(req), org.id);
+    const events = Array.isArray(body.events) && body.events.length ? body.events : WEBHOOK_EVENTS;
+    const manager = createWebhookManager({ config: webhookConfig(process.env, org), token: orgToken(org) });
+
+    switch (req.method) {
+      case 'GET': {
+        const subs = await manager.list();
+        return json(res, 200, { ok: true, org: org.id, callbackUrl, events: WEBHOOK_EVENTS, subscriptions: subs.map(s => summarize(s, callbackUrl)) });
+      }
+      case 'POST': {
+        const sub = await manager.create({ callbackUrl, events });
+        log.info('webhooks.created', { org: org.id, subscription: sub?.uri, callbackUrl, events });
+        return json(res, 201, { ok: true, subscription: summarize(sub, callbackUrl) });
+      }
+      case 'PUT': {
+        const out = await manager.ensure({ callbackUrl, events });
+        log.info('webhooks.ensured', { org: org.id, status: out.status, subscription: out.subscription?.uri, removed: out.removed });
+        return json(res, out.status === 'created' ? 201 : 200, {
+          ok: true,
+          status: out.status,
+          subscription: summarize(out.subscription, callbackUrl),
+          removed: out.removed
+        });
+      }
+      default: {
+        const uri = queryParam(req, 'uri');
+        if (!uri || !uri.startsWith(`${calendlyApiUrl()}/webhook_subscriptions/`)) {
+          return json(res, 400, { ok: false, error: 'uri must be a Calendly webhook subscription URI' });
+        }
+        await manager.remove(uri);
+        log.info('webhooks.deleted', { org: org.id, subscription: uri });
+        return json(res, 200, { ok: true, deleted: uri });
+      }
+    }
+  } catch (err) {
+    log.error('webhooks.failed', errorFields(err));
+    return json(res, err.status && err.status < 500 ? err.status : 500, {
+      ok: false,
+      error: String(err.message || err),
+      details: err.details || undefined
+    });
+  }
+}
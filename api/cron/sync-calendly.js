@@ -1,6 +1,27 @@
 // /api/cron/sync-calendly.js
-// PRODUCTION VERSION - Updated Oct 31, 2025
-// Vercel Cron Job: Runs every 10 minutes to sync Calendly bookings with Salesforce leads
+// Vercel Cron Job: Runs every 10 minutes to sync Calendly bookings with Salesforce leads.
+// Also drains the retry queue the webhook fills when a booking can't be synced.
+// Only meetings that started within SYNC_LOOKBACK_HOURS (default 24) are
+// swept, so no-shows marked later than that are left to the webhook.
+// Each authorised run is recorded in the run history (lib/runs.js).
+// With routing rules (lib/routing.js) every org is swept with its own token,
+// cursor and Salesforce connection, and each booking's route picks its mapping
+// (or has it ignored).
+
+import { createSalesforceClient } from '../../lib/salesforce.js';
+import { calendlyApiUrl, calendlyCollect, eventUriOfInvitee } from '../../lib/calendly.js';
+import { queryParam, truthy } from '../../lib/http.js';
+import { createCursorStore, inviteeChangedAt, laterOf, earlierOf, cursorLimit } from '../../lib/cursor.js';
+import { planInvitee } from '../../lib/survey.js';
+import { OUTCOMES } from '../../lib/matching.js';
+import { createQueue } from '../../lib/queue.js';
+import { syncBookings, loadQueuedBooking } from '../../lib/sync.js';
+import { createLedger } from '../../lib/ledger.js';
+import { createLinkRegistry } from '../../lib/links.js';
+import { createLogger, requestIdOf, errorFields } from '../../lib/logger.js';
+import { recordRun, runItem, privateDiff } from '../../lib/runs.js';
+import { paymentSummary } from '../../lib/payment.js';
+import { orgContexts, resolveRoute, DEFAULT_ORG } from '../../lib/routing.js';
 
 export const config = {
   maxDuration: 300, // 5 minutes max
@@ -13,10 +34,36 @@ function json(res, code, obj) {
 }
 
 export default async function handler(req, res) {
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('⏰ Calendly-Salesforce Sync Cron Job Started (PRODUCTION)');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`Triggered at: ${new Date().toISOString()}`);
+  const log = createLogger({ component: 'cron-sync', runId: requestIdOf(req) });
+  const startedAt = new Date().toISOString();
+  const runItems = [];
+  let dryRun = false;
+
+  // Responds and records the run, pruning the history.
+  const finish = async (code, obj, { error = null } = {}) => {
+    await recordRun(log, {
+      id: log.context.runId,
+      type: 'cron',
+      startedAt,
+      ok: code === 200 && obj.ok !== false,
+      dryRun,
+      httpStatus: code,
+      message: obj.message || null,
+      counts: {
+        totalEvents: obj.totalEvents ?? 0,
+        processed: obj.processed ?? 0,
+        skipped: obj.skipped ?? 0,
+        errors: obj.errors ?? (error ? 1 : 0),
+        beforeCursor: obj.beforeCursor ?? 0,
+        outcomes: obj.outcomes || {},
+        queue: obj.queue || null
+      },
+      error: error ? String(error.message || error) : null,
+      items: runItems,
+      meta: { cursor: obj.cursor || null }
+    }, { prune: true });
+    return json(res, code, obj);
+  };
 
   try {
     // Verify cron secret
@@ -24,269 +71,389 @@ export default async function handler(req, res) {
     const expectedSecret = process.env.CRON_SECRET;
     
     if (expectedSecret && cronSecret !== `Bearer ${expectedSecret}`) {
-      console.error('❌ Unauthorized cron request');
+      log.warn('cron.unauthorized');
       return json(res, 401, { ok: false, error: 'Unauthorized' });
     }
 
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // CALENDLY API
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    const calendlyToken = (process.env.CALENDLY_PAT || '').trim();
-    if (!calendlyToken) {
-      console.error('❌ Missing CALENDLY_PAT');
-      return json(res, 500, { ok: false, error: 'Missing CALENDLY_PAT' });
-    }
-
-    const organizationUri = process.env.CALENDLY_ORGANIZATION_URI;
-    if (!organizationUri) {
-      console.error('❌ Missing CALENDLY_ORGANIZATION_URI');
-      return json(res, 500, { ok: false, error: 'Missing CALENDLY_ORGANIZATION_URI' });
-    }
-
-    // Get bookings from last 24 hours
-    const twentyFourHoursAgo = new Date();
-    twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-    const minStartTime = twentyFourHoursAgo.toISOString();
-
-    console.log(`\n🔍 Fetching bookings since: ${minStartTime}`);
-
-    const eventsUrl = `https://api.calendly.com/scheduled_events?organization=${encodeURIComponent(organizationUri)}&min_start_time=${encodeURIComponent(minStartTime)}&status=active&count=100`;
-    
-    const eventsRes = await fetch(eventsUrl, {
-      headers: { Authorization: `Bearer ${calendlyToken}` }
-    });
-
-    if (!eventsRes.ok) {
-      const errText = await eventsRes.text().catch(() => '');
-      console.error(`❌ Calendly API error ${eventsRes.status}:`, errText);
-      return json(res, 500, { ok: false, error: `Calendly API error ${eventsRes.status}` });
-    }
-
-    const eventsData = await eventsRes.json();
-    const events = eventsData.collection || [];
-    
-    console.log(`📅 Found ${events.length} scheduled events`);
-
-    if (events.length === 0) {
-      console.log('✅ No events to process');
-      return json(res, 200, { ok: true, message: 'No events to process', processed: 0 });
-    }
-
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // SALESFORCE AUTHENTICATION (PRODUCTION)
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    console.log('\n🔐 Authenticating with Salesforce Production...');
-
-    const {
-      SF_INSTANCE_URL,
-      SF_CLIENT_ID,
-      SF_CLIENT_SECRET,
-      SF_USERNAME,
-      SF_PASSWORD,
-      SF_AUTH_FLOW
-    } = process.env;
-
-    if (!SF_INSTANCE_URL || !SF_CLIENT_ID || !SF_CLIENT_SECRET) {
-      console.error('❌ Missing Salesforce credentials');
-      return json(res, 500, { ok: false, error: 'Missing Salesforce credentials' });
-    }
-
-    const apiVersion = 'v62.0';
-
-    async function sfTokenClientCredentials() {
-      const url = `${SF_INSTANCE_URL}/services/oauth2/token`;
-      const body = new URLSearchParams({
-        grant_type: 'client_credentials',
-        client_id: SF_CLIENT_ID,
-        client_secret: SF_CLIENT_SECRET
-      });
-      const r = await fetch(url, { method: 'POST', body });
-      if (!r.ok) {
-        const errText = await r.text().catch(() => '');
-        console.error(`❌ SF token error ${r.status}:`, errText);
-        throw new Error(`SF token (client_credentials) ${r.status}`);
-      }
-      return r.json();
-    }
-
-    async function sfTokenPassword() {
-      if (!SF_USERNAME || !SF_PASSWORD) {
-        throw new Error('Missing SF_USERNAME or SF_PASSWORD');
-      }
-      const url = `${SF_INSTANCE_URL}/services/oauth2/token`;
-      const body = new URLSearchParams({
-        grant_type: 'password',
-        client_id: SF_CLIENT_ID,
-        client_secret: SF_CLIENT_SECRET,
-        username: SF_USERNAME,
-        password: SF_PASSWORD
-      });
-      const r = await fetch(url, { method: 'POST', body });
-      if (!r.ok) {
-        const errText = await r.text().catch(() => '');
-        console.error(`❌ SF token error ${r.status}:`, errText);
-        throw new Error(`SF token (password) ${r.status}`);
+    // Window: events starting after the stored cursor, widened to the
+    // lookback, or an explicit ?since= backfill. A booking or cancellation is
+    // made before its meeting starts, so none can fall outside it. A no-show is
+    // marked after the meeting starts, so the sweep only sees marks made within
+    // SYNC_LOOKBACK_HOURS (default 24) of the meeting's start; later ones reach
+    // Salesforce only through the invitee_no_show webhooks (raise the lookback
+    // to sweep them too). A backfill leaves the stored cursor where it was,
+    // since it may not have covered everything after it.
+    // ?dryRun=1 does every read and lookup but writes nothing (Salesforce,
+    // ledger, queue or cursor) and reports the planned field diffs instead.
+    dryRun = truthy(queryParam(req, 'dryRun'));
+
+    const sinceParam = queryParam(req, 'since');
+    let since = null;
+    if (sinceParam) {
+      if (!Number.isFinite(Date.parse(sinceParam))) {
+        return json(res, 400, { ok: false, error: 'Invalid since parameter (expected an ISO timestamp)' });
       }
-      return r.json();
+      since = new Date(sinceParam).toISOString();
     }
 
-    const flow = (SF_AUTH_FLOW || 'client_credentials').toLowerCase();
-    const tok = flow === 'password' ? await sfTokenPassword() : await sfTokenClientCredentials();
+    const lookbackHours = Number(process.env.SYNC_LOOKBACK_HOURS) || 24;
+    const lookbackStart = new Date(Date.now() - lookbackHours * 3600 * 1000).toISOString();
 
-    const access_token = tok.access_token;
-    const base = tok.instance_url || SF_INSTANCE_URL;
+    const orgs = orgContexts();
+    const cursors = createCursorStore();
+    const queue = createQueue(undefined, undefined, { readOnly: dryRun });
+    const ledger = createLedger();
+    const links = createLinkRegistry();
+    const dueItems = await queue.due();
 
-    if (!access_token || !base) {
-      console.error('❌ Missing access_token or instance_url');
-      throw new Error('Failed to authenticate with Salesforce');
-    }
-
-    console.log(`✅ Salesforce authenticated: ${base}`);
+    log.info('cron.started', { dryRun, since, orgs: orgs.map(o => o.id) });
 
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // PROCESS EACH EVENT
-    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     let processedCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
-
-    for (const event of events) {
-      const eventUri = event.uri;
-      
-      console.log(`\n📅 Processing event: ${eventUri}`);
-      
-      // Fetch invitees for this event
-      const inviteesUrl = `${eventUri}/invitees`;
-      const inviteesRes = await fetch(inviteesUrl, {
-        headers: { Authorization: `Bearer ${calendlyToken}` }
-      });
-
-      if (!inviteesRes.ok) {
-        console.error(`❌ Failed to fetch invitees`);
-        errorCount++;
+    let totalEvents = 0;
+    let unchangedCount = 0;
+    const outcomes = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+    const results = [];
+    const queueSummary = { due: dueItems.length, succeeded: 0, retrying: 0, dead: 0 };
+    const orgResults = [];
+
+    const requeue = async (b, reason, error) => {
+      const next = await queue.enqueue(b.inviteeUri, { inviteeUri: b.inviteeUri, eventUri: b.eventUri, email: b.email, org: b.org, source: 'cron' }, { reason, error });
+      if (b.queueItem) queueSummary[next.status === 'dead' ? 'dead' : 'retrying']++;
+      return next;
+    };
+
+    // With a single org a broken setup fails the run as before; with several,
+    // the other orgs still sync and the failure is reported per org.
+    const orgFailed = (summary, err) => {
+      if (orgs.length === 1) throw err;
+      errorCount++;
+      summary.error = err.message;
+    };
+
+    for (const org of orgs) {
+      const olog = orgs.length > 1 ? log.child({ org: org.id }) : log;
+      const summary = { id: org.id, totalEvents: 0, beforeCursor: 0, cursor: null, error: null };
+      orgResults.push(summary);
+
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      // CALENDLY API
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      const calendlyToken = org.calendlyToken;
+      const organizationUri = org.organizationUri;
+      const missing = !calendlyToken ? org.calendlyTokenEnv : !organizationUri ? (org.id === DEFAULT_ORG ? 'CALENDLY_ORGANIZATION_URI' : `orgs.${org.id}.organizationUri`) : null;
+      if (missing) {
+        olog.error('cron.misconfigured', { error: `Missing ${missing}` });
+        orgFailed(summary, new Error(`Missing ${missing}`));
         continue;
       }
 
-      const inviteesData = await inviteesRes.json();
-      const invitees = inviteesData.collection || [];
-
-      for (const invitee of invitees) {
-        const email = invitee.email;
-        const payment = invitee.payment;
-        const startTime = event.start_time;
-
-        if (!email) {
-          console.log('  ⚠️  Skipping invitee without email');
-          skippedCount++;
+      const cursorKey = `cron:${organizationUri}`;
+      const previousCursor = await cursors.read(cursorKey);
+      const changedAfter = since || previousCursor;
+      const minStartTime = changedAfter && Date.parse(changedAfter) < Date.parse(lookbackStart) ? changedAfter : lookbackStart;
+      summary.cursor = { previous: previousCursor, next: previousCursor, since, minStartTime };
+      olog.info('sync.window', { minStartTime, cursor: previousCursor });
+
+      const eventsUrl = `${calendlyApiUrl()}/scheduled_events?organization=${encodeURIComponent(organizationUri)}&min_start_time=${encodeURIComponent(minStartTime)}&sort=start_time:asc&count=100`;
+
+      let events;
+      try {
+        events = await calendlyCollect(eventsUrl, calendlyToken);
+      } catch (err) {
+        olog.error('calendly.events_failed', { ...errorFields(err), durationMs: log.elapsed() });
+        orgFailed(summary, err);
+        continue;
+      }
+      summary.totalEvents = events.length;
+      totalEvents += events.length;
+
+      // Bookings gathered from the queue and the sweep:
+      // { plan, email, inviteeUri, eventUri, org, queueItem?, route }
+      const bookings = [];
+      const seen = new Set();
+
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      // GATHER: RETRY QUEUE
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      const orgDue = dueItems.filter(item => (item.payload.org || DEFAULT_ORG) === org.id);
+      if (orgDue.length) olog.info('queue.draining', { due: orgDue.length });
+
+      for (const item of orgDue) {
+        const b = { inviteeUri: item.id, eventUri: item.payload.eventUri, email: item.payload.email, org: org.id, queueItem: item };
+        try {
+          b.plan = await loadQueuedBooking(item, calendlyToken);
+        } catch (err) {
+          const next = await requeue(b, 'error', err);
+          errorCount++;
+          results.push({ invitee: item.id, outcome: 'error', error: err.message });
+          runItems.push(runItem({ inviteeUri: item.id, email: b.email, error: err }));
+          olog.warn('booking.queued', { inviteeUri: item.id, reason: 'error', attempts: next.attempts, queueStatus: next.status, ...errorFields(err) });
           continue;
         }
+        b.email = b.plan.invitee.email || b.email;
+        seen.add(item.id).add(b.plan.invitee.uri);
+        bookings.push(b);
+      }
 
-        console.log(`  📧 Processing: ${email}`);
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      // GATHER: SCHEDULED EVENTS
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-        const paid = payment?.successful === true;
-        const surveyDate = startTime ? startTime.split('T')[0] : '';
+      // Old invitees of a reschedule point (via new_invitee) at a booking that is
+      // usually in this same sweep; let that one write the new date.
+      const sweptEventUris = new Set(events.map(e => e.uri));
 
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // FIND LEAD BY EMAIL
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        const safeEmail = email.replace(/'/g, "\\'");
-        const soql = `SELECT Id, FirstName, LastName, Survey_scheduled__c, Survey_payment_complete__c FROM Lead WHERE Email = '${safeEmail}' ORDER BY CreatedDate DESC LIMIT 1`;
-        const qUrl = `${base}/services/data/${apiVersion}/query?q=${encodeURIComponent(soql)}`;
+      // The cursor only moves when every page was read; failed invitees are in
+      // the retry queue, so they don't hold it back.
+      let nextCursor = previousCursor;
+      let cursorSafe = true;
 
-        const qRes = await fetch(qUrl, {
-          headers: { Authorization: `Bearer ${access_token}` }
-        });
+      for (const event of events) {
+        const eventUri = event.uri;
 
-        if (!qRes.ok) {
-          console.error(`  ❌ SF query error ${qRes.status}`);
+        // Fetch invitees for this event
+        let invitees;
+        try {
+          invitees = await calendlyCollect(`${eventUri}/invitees?count=100`, calendlyToken);
+        } catch (err) {
+          olog.error('calendly.invitees_failed', { eventUri, ...errorFields(err) });
           errorCount++;
+          cursorSafe = false;
           continue;
         }
 
-        const q = await qRes.json();
-        const lead = q?.records?.[0];
+        for (const invitee of invitees) {
+          const email = invitee.email;
+          const changedAt = inviteeChangedAt(invitee);
+          nextCursor = laterOf(nextCursor, changedAt);
+
+          if (changedAfter && changedAt && Date.parse(changedAt) <= Date.parse(changedAfter)) {
+            unchangedCount++;
+            summary.beforeCursor++;
+            continue;
+          }
+
+          if (!email) {
+            olog.warn('booking.skipped', { inviteeUri: invitee.uri, reason: 'no email' });
+            skippedCount++;
+            continue;
+          }
+
+          if (invitee.rescheduled && invitee.new_invitee && sweptEventUris.has(eventUriOfInvitee(invitee.new_invitee))) {
+            olog.debug('booking.skipped', { inviteeUri: invitee.uri, reason: 'rescheduled within sweep' });
+            skippedCount++;
+            continue;
+          }
+
+          if (seen.has(invitee.uri)) continue;
+
+          const b = { inviteeUri: invitee.uri, eventUri, email, org: org.id };
+          try {
+            b.plan = await planInvitee({ invitee, event }, calendlyToken);
+          } catch (err) {
+            olog.error('booking.failed', { inviteeUri: invitee.uri, ...errorFields(err) });
+            errorCount++;
+            results.push({ invitee: invitee.uri, outcome: 'error', error: err.message });
+            runItems.push(runItem({ inviteeUri: invitee.uri, email, error: err }));
+            await requeue(b, 'error', err);
+            continue;
+          }
+          seen.add(invitee.uri).add(b.plan.invitee.uri);
+          bookings.push(b);
+        }
+      }
 
-        if (!lead) {
-          console.log(`  ⚠️  Lead not found for: ${email}`);
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      // ROUTE
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      const routed = new Map();
+      for (const b of bookings) {
+        try {
+          b.route = await resolveRoute({ orgId: org.id, invitee: b.plan.invitee, event: b.plan.event, token: calendlyToken });
+        } catch (err) {
+          olog.error('booking.failed', { inviteeUri: b.inviteeUri, ...errorFields(err) });
+          errorCount++;
+          results.push({ invitee: b.inviteeUri, outcome: 'error', error: err.message });
+          runItems.push(runItem({ inviteeUri: b.inviteeUri, email: b.email, error: err }));
+          await requeue(b, 'error', err);
+          continue;
+        }
+        if (b.route.ignore) {
+          olog.debug('booking.ignored', { inviteeUri: b.inviteeUri, route: b.route.name });
           skippedCount++;
+          results.push({ invitee: b.inviteeUri, outcome: null, status: 'ignored', route: b.route.name });
+          runItems.push(runItem({ inviteeUri: b.inviteeUri, email: b.email, reason: 'ignored' }));
+          if (b.queueItem) queueSummary.succeeded++;
+          await queue.complete(b.inviteeUri);
           continue;
         }
+        if (!routed.has(b.route.name)) routed.set(b.route.name, []);
+        routed.get(b.route.name).push(b);
+      }
 
-        const leadId = lead.Id;
-        const leadName = `${lead.FirstName || ''} ${lead.LastName || ''}`.trim();
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      // MATCH + UPDATE IN BULK (MAPPED FIELDS)
+      // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+      let sf = null;
+      if (routed.size) {
+        try {
+          sf = createSalesforceClient(org.sf);
+          await sf.authenticate();
+        } catch (err) {
+          olog.error('salesforce.auth_failed', errorFields(err));
+          if (orgs.length === 1) throw err;
+          sf = null;
+          summary.error = err.message;
+        }
+      }
 
-        // Check if already has survey data
-        if (lead.Survey_scheduled__c && lead.Survey_payment_complete__c) {
-          console.log(`  ✓ Lead ${leadName} already has survey data - skipping`);
-          skippedCount++;
-          continue;
+      for (const group of routed.values()) {
+        const { route } = group[0];
+        olog.info('sync.batch', { route: route.name, bookings: group.length });
+
+        let synced;
+        try {
+          if (!sf) throw new Error(`Salesforce unavailable: ${summary.error}`);
+          synced = await syncBookings(sf, group, {
+            mapping: route.mapping,
+            matching: route.matching,
+            recordTypeId: route.recordTypeId,
+            ledger,
+            links,
+            dryRun
+          });
+        } catch (err) {
+          // A failed lookup takes the whole batch with it; everything goes to the queue.
+          olog.error('sync.batch_failed', { route: route.name, ...errorFields(err) });
+          synced = group.map(() => ({ status: 'error', outcome: 'error', error: err.message, errorCode: err.errorCode || null }));
         }
 
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        // UPDATE LEAD (PRODUCTION FIELDS)
-        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-        console.log(`  📝 Updating lead ${leadName} (${leadId})...`);
-
-        const patchUrl = `${base}/services/data/${apiVersion}/sobjects/Lead/${leadId}`;
-        
-        // PRODUCTION: Using field API names
-        const patchBody = {
-          Survey_scheduled__c: surveyDate || "",
-          Survey_payment_complete__c: !!paid
-        };
-
-        console.log(`  Payload:`, patchBody);
-
-        const pRes = await fetch(patchUrl, {
-          method: 'PATCH',
-          headers: {
-            Authorization: `Bearer ${access_token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(patchBody)
-        });
-
-        if (!pRes.ok) {
-          const errText = await pRes.text().catch(() => '');
-          console.error(`  ❌ SF update error ${pRes.status}:`, errText.slice(0, 200));
-          errorCount++;
-          continue;
+        for (const [i, b] of group.entries()) {
+          const result = synced[i];
+          const blog = olog.child({ inviteeUri: b.inviteeUri, leadId: result.recordId || undefined });
+          runItems.push(runItem({ inviteeUri: b.inviteeUri, email: b.email, result }));
+
+          if (result.status === 'error') {
+            errorCount++;
+            results.push({ invitee: b.inviteeUri, outcome: result.outcome, status: 'error', sobject: result.sobject, recordId: result.recordId, route: route.name, error: result.error, errorCode: result.errorCode });
+            const next = await requeue(b, 'error', result.error);
+            blog.error('booking.failed', {
+              outcome: result.outcome,
+              sobject: result.sobject,
+              error: result.error,
+              errorCode: result.errorCode || undefined,
+              service: 'salesforce',
+              attempts: next.attempts,
+              queueStatus: next.status
+            });
+            continue;
+          }
+
+          outcomes[result.outcome]++;
+          results.push({
+            invitee: b.inviteeUri,
+            outcome: result.outcome,
+            status: result.status,
+            sobject: result.sobject,
+            recordId: result.recordId,
+            route: route.name,
+            action: result.action,
+            changes: result.changes,
+            diff: privateDiff(result.diff),
+            activity: result.activity,
+            payment: paymentSummary(result.attrs)
+          });
+          if (result.warnings.length) blog.warn('booking.warnings', { warnings: result.warnings });
+          if (result.attrs.payment_mismatch) blog.warn('payment.mismatch', paymentSummary(result.attrs));
+
+          blog.info('booking.synced', {
+            route: route.name,
+            outcome: result.outcome,
+            status: result.status,
+            sobject: result.sobject,
+            action: result.action,
+            changed: Object.keys(result.changes || {}),
+            activity: result.activity.status,
+            eventId: result.activity.eventId || undefined
+          });
+
+          switch (result.status) {
+            case 'unmatched':
+              skippedCount++;
+              // The cursor moves past this invitee, so let the queue look again.
+              await requeue(b, 'unmatched', 'No matching record');
+              continue;
+            case 'unchanged':
+            case 'skipped':
+              skippedCount++;
+              break;
+            default:
+              processedCount++;
+          }
+          if (b.queueItem) queueSummary.succeeded++;
+          await queue.complete(b.inviteeUri);
         }
+      }
 
-        console.log(`  ✅ Lead updated successfully!`);
-        processedCount++;
+      nextCursor = laterOf(previousCursor, earlierOf(nextCursor, cursorLimit(startedAt)));
+      const moveCursor = cursorSafe && !since;
+      if (!dryRun && moveCursor && nextCursor && nextCursor !== previousCursor) {
+        await cursors.write(cursorKey, nextCursor);
       }
+      summary.cursor.next = moveCursor ? nextCursor : previousCursor;
     }
 
-    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('✅ Cron Job Complete');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`Total Events: ${events.length}`);
-    console.log(`Processed: ${processedCount}`);
-    console.log(`Skipped: ${skippedCount}`);
-    console.log(`Errors: ${errorCount}`);
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    const cursor = orgResults[0]?.cursor || null;
+    const failedOrgs = orgResults.filter(o => o.error).length;
+
+    if (failedOrgs === orgResults.length) {
+      log.error('cron.failed', { errors: errorCount, orgs: orgResults, durationMs: log.elapsed() });
+      return finish(500, { ok: false, error: 'Every org failed', errors: errorCount, orgs: orgResults }, { error: 'Every org failed' });
+    }
 
-    return json(res, 200, {
+    if (totalEvents === 0 && dueItems.length === 0 && !failedOrgs) {
+      log.info('cron.finished', { totalEvents: 0, processed: 0, durationMs: log.elapsed() });
+      return finish(200, { ok: true, message: 'No events to process', processed: 0, cursor: cursor?.previous ?? null, orgs: orgResults });
+    }
+
+    log.info('cron.finished', {
+      dryRun,
+      totalEvents,
+      processed: processedCount,
+      skipped: skippedCount,
+      beforeCursor: unchangedCount,
+      errors: errorCount,
+      outcomes,
+      queue: queueSummary,
+      cursor: cursor?.next ?? null,
+      failedOrgs: failedOrgs || undefined,
+      durationMs: log.elapsed()
+    });
+
+    return finish(200, {
       ok: true,
-      message: 'Sync complete',
+      dryRun,
+      message: dryRun ? 'Dry run complete - nothing written' : 'Sync complete',
       processed: processedCount,
       skipped: skippedCount,
       errors: errorCount,
-      totalEvents: events.length
+      outcomes,
+      queue: queueSummary,
+      results,
+      beforeCursor: unchangedCount,
+      totalEvents,
+      cursor,
+      orgs: orgResults
     });
 
   } catch (error) {
-    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.error('❌ CRON JOB FAILED');
-    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.error('Error:', error.message);
-    console.error('Stack:', error.stack);
-    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-
-    return json(res, 500, {
+    log.error('cron.failed', { ...errorFields(error), stack: error.stack, durationMs: log.elapsed() });
+
+    return finish(500, {
       ok: false,
       error: error.message
-    });
+    }, { error });
   }
 }
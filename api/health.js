@@ -0,0 +1,21 @@
+// /api/health.js
+// Deep readiness check: Calendly token and organization, webhook
+// subscription, Salesforce auth, mapped-field schema and API limits (see
+// lib/health.js). Answers 200 when every check passes, 503 otherwise.
+//
+//   GET /api/health                   all checks
+//   GET /api/health?checks=a,b        a subset
+//   GET /api/health?org=<id>          another org from the routing rules
+//
+// Requires Authorization: Bearer <SYNC_ADMIN_TOKEN or CRON_SECRET>.
+// /api/calendly-health and /api/sf-token-test are aliases for subsets.
+
+import { json, queryParam } from '../lib/http.js';
+import { respondHealth, CHECKS } from '../lib/health.js';
+
+export default async function handler(req, res) {
+  const requested = (queryParam(req, 'checks') || '').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = requested.filter(n => !CHECKS.includes(n));
+  if (unknown.length) return json(res, 400, { ok: false, error: `Unknown checks: ${unknown.join(', ')}`, available: CHECKS });
+  return respondHealth(req, res, { component: 'health', names: requested.length ? requested : CHECKS });
+}
@@ -0,0 +1,155 @@
+// /api/salesforce-hook.js
+// Reverse sync: Salesforce tells us a Lead's status changed, and when the new
+// status closes the Lead (SYNC_REVERSE_CANCEL_STATUSES) its upcoming Calendly
+// surveys are cancelled (lib/reverse.js).
+//
+//   POST /api/salesforce-hook?token=<SF_REVERSE_SYNC_TOKEN>
+//     text/xml          an Outbound Message on Lead (send at least Id and
+//                       Status); answered with the SOAP Ack, false when a
+//                       cancellation failed so Salesforce redelivers
+//     application/json  Change Data Capture / Platform Event notifications,
+//                       or { leadId, status }; 502 when a cancellation failed
+//
+// The token may also be sent as Authorization: Bearer. ?org=<id> picks an org
+// from the routing rules (lib/routing.js); x-dry-run: 1 or ?dryRun=1 reports
+// what would be cancelled. Each delivery is recorded in the run history as
+// type "reverse".
+
+import { json, readRawBody, parseJson, header, queryParam, truthy } from '../lib/http.js';
+import { matchesSecret, bearerToken } from '../lib/auth.js';
+import { createSalesforceClient } from '../lib/salesforce.js';
+import { createLedger } from '../lib/ledger.js';
+import { activityConfig } from '../lib/activity.js';
+import { orgContext, orgToken, DEFAULT_ORG } from '../lib/routing.js';
+import { createLogger, requestIdOf, errorFields } from '../lib/logger.js';
+import { recordRun, runItem } from '../lib/runs.js';
+import {
+  reverseConfig,
+  parseOutboundMessage,
+  outboundAck,
+  leadChangesFromOutbound,
+  leadChangesFromJson,
+  cancelsBooking,
+  cancelLeadBookings,
+  sameOrgId
+} from '../lib/reverse.js';
+
+function xml(res, code, body) {
+  res.statusCode = code;
+  res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+  res.end(body);
+}
+
+export default async function handler(req, res) {
+  const log = createLogger({ component: 'salesforce-hook', requestId: requestIdOf(req) });
+  if (req.method !== 'POST') return json(res, 405, { ok: false, error: 'Method not allowed' });
+
+  const config = reverseConfig();
+  if (!config.token || !matchesSecret(queryParam(req, 'token') || bearerToken(req), [config.token])) {
+    log.warn('reverse.unauthorized');
+    return json(res, 401, { ok: false, error: 'Unauthorized' });
+  }
+
+  const startedAt = new Date().toISOString();
+  const items = [];
+  let soap = false;
+  let dryRun = false;
+
+  // Responds and records the delivery.
+  const finish = async (code, { ok, message = null, error = null, meta = {} }, send) => {
+    await recordRun(log, {
+      id: log.context.requestId,
+      type: 'reverse',
+      startedAt,
+      ok,
+      dryRun,
+      httpStatus: code,
+      message,
+      error: error ? String(error.message || error) : null,
+      items,
+      meta
+    });
+    return send();
+  };
+
+  try {
+    // ---- Parse ----
+    const raw = await readRawBody(req);
+    soap = raw.trimStart().startsWith('<');
+    let changes;
+    let meta = {};
+    if (soap) {
+      const message = parseOutboundMessage(raw);
+      if (!message) return json(res, 400, { ok: false, error: 'Not a Salesforce Outbound Message' });
+      if (config.organizationId && !sameOrgId(message.organizationId, config.organizationId)) {
+        log.warn('reverse.rejected', { reason: 'organization mismatch', organizationId: message.organizationId });
+        return json(res, 403, { ok: false, error: 'Unexpected OrganizationId' });
+      }
+      changes = leadChangesFromOutbound(message);
+      meta = { source: 'outbound', organizationId: message.organizationId, actionId: message.actionId };
+    } else {
+      const body = parseJson(raw);
+      if (!body || typeof body !== 'object') return json(res, 400, { ok: false, error: 'Invalid JSON body' });
+      changes = leadChangesFromJson(body);
+      meta = { source: 'json' };
+    }
+
+    let org;
+    try {
+      org = orgContext(queryParam(req, 'org') || DEFAULT_ORG);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return json(res, 400, { ok: false, error: err.message });
+    }
+    dryRun = truthy(header(req, 'x-dry-run')) || truthy(queryParam(req, 'dryRun'));
+    log.info('reverse.received', { ...meta, org: org.id, changes: changes.length, dryRun });
+
+    // ---- Cancel ----
+    const token = orgToken(org);
+    const ledger = createLedger();
+    const activity = activityConfig();
+    const sf = activity.enabled ? createSalesforceClient(org.sf) : null;
+    const results = [];
+
+    for (const change of changes) {
+      const llog = log.child({ leadId: change.leadId });
+      if (!cancelsBooking(change.status, config)) {
+        llog.debug('reverse.skipped', { status: change.status });
+        results.push({ ...change, action: 'none', bookings: [] });
+        continue;
+      }
+      const bookings = await cancelLeadBookings(change, { token, ledger, sf, activity, config, dryRun });
+      results.push({ ...change, action: 'cancel', bookings });
+      for (const b of bookings) {
+        items.push(runItem({
+          inviteeUri: b.inviteeUri || b.eventUri,
+          result: { status: b.status, action: 'cancel', sobject: 'Lead', recordId: change.leadId, error: b.error, errorCode: b.errorCode },
+          reason: change.status
+        }));
+        llog[b.status === 'error' ? 'error' : 'info']('reverse.booking', {
+          eventUri: b.eventUri,
+          inviteeUri: b.inviteeUri || undefined,
+          status: b.status,
+          error: b.error,
+          errorCode: b.errorCode || undefined,
+          dryRun
+        });
+      }
+      if (!bookings.length) llog.info('reverse.no_bookings', { status: change.status });
+    }
+
+    const failed = results.some(r => r.bookings.some(b => b.status === 'error'));
+    const cancelled = results.reduce((n, r) => n + r.bookings.filter(b => b.status === 'canceled').length, 0);
+    log.info('reverse.finished', { cancelled, failed, dryRun, durationMs: log.elapsed() });
+
+    const code = soap ? 200 : failed ? 502 : 200;
+    return finish(code, { ok: !failed, message: `${cancelled} cancelled`, meta }, () => (
+      soap ? xml(res, code, outboundAck(!failed)) : json(res, code, { ok: !failed, dryRun, cancelled, results })
+    ));
+  } catch (err) {
+    log.error('reverse.failed', { ...errorFields(err), stack: err.stack, durationMs: log.elapsed() });
+    return finish(500, { ok: false, error: err }, () => (
+      soap ? xml(res, 500, outboundAck(false)) : json(res, 500, { ok: false, error: String(err.message || err) })
+    ));
+  }
+}
@@ -0,0 +1,53 @@
+// /api/sync-runs.js
+// Run history for the cron sync, webhook deliveries and reverse-sync
+// notifications from Salesforce.
+//
+//   GET /api/sync-runs                  recent runs, newest first
+//       ?type=cron|webhook|reverse  ?limit=N (max 100)
+//       ?invitee=<invitee URI>  ?email=<address>   runs that touched a booker
+//   GET /api/sync-runs?id=<run id>      one run with its per-invitee outcomes
+//
+// Requires Authorization: Bearer <SYNC_ADMIN_TOKEN or CRON_SECRET>.
+
+import { json, queryParam } from '../lib/http.js';
+import { isAdminRequest } from '../lib/auth.js';
+import { createRunHistory } from '../lib/runs.js';
+import { createLogger, requestIdOf, errorFields } from '../lib/logger.js';
+
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+  const log = createLogger({ component: 'sync-runs', requestId: requestIdOf(req) });
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+  if (!isAdminRequest(req)) {
+    log.warn('runs.unauthorized');
+    return json(res, 401, { ok: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const history = createRunHistory();
+
+    const id = queryParam(req, 'id');
+    if (id) {
+      const run = await history.get(id);
+      if (!run) return json(res, 404, { ok: false, error: 'Run not found' });
+      return json(res, 200, { ok: true, run });
+    }
+
+    const type = queryParam(req, 'type');
+    if (type && !['cron', 'webhook', 'reverse'].includes(type)) {
+      return json(res, 400, { ok: false, error: 'type must be cron, webhook or reverse' });
+    }
+    const limit = Math.min(Math.max(Number(queryParam(req, 'limit')) || 20, 1), MAX_LIMIT);
+    const runs = await history.list({
+      type,
+      limit,
+      invitee: queryParam(req, 'invitee'),
+      email: queryParam(req, 'email')
+    });
+    return json(res, 200, { ok: true, runs });
+  } catch (err) {
+    log.error('runs.failed', errorFields(err));
+    return json(res, 500, { ok: false, error: String(err.message || err) });
+  }
+}
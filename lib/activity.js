@@ -0,0 +1,138 @@
+// /lib/activity.js
+// Mirrors each booking as a Salesforce Event on the matched record's activity
+// timeline. The Calendly event URI is stored in an external-id field on Event
+// so reschedules move the same Event and cancellations find it again.
+//
+// SYNC_SF_EVENTS               enable Event activity (off by default)
+// SF_EVENT_EXTERNAL_ID_FIELD   Event field holding the Calendly event URI
+//                              (default Calendly_Event_URI__c)
+// SF_EVENT_ON_CANCEL           "mark" (default: prefix the subject and show as
+//                              free) or "delete"
+
+import { envFlag } from './http.js';
+import { soqlString } from './salesforce.js';
+import { eventUriOfInvitee } from './calendly.js';
+
+const IN_CHUNK = 100;
+
+export function activityConfig(env = process.env) {
+  return {
+    enabled: envFlag('SYNC_SF_EVENTS'),
+    externalIdField: env.SF_EVENT_EXTERNAL_ID_FIELD || 'Calendly_Event_URI__c',
+    onCancel: (env.SF_EVENT_ON_CANCEL || 'mark').toLowerCase() === 'delete' ? 'delete' : 'mark'
+  };
+}
+
+// Scheduled event URI of the booking a reschedule replaced, if any.
+export function previousEventUri(invitee) {
+  return eventUriOfInvitee(invitee?.old_invitee);
+}
+
+export function eventSubject(attrs) {
+  const name = attrs.event_type_name || 'Survey';
+  return `${attrs.no_show ? 'No-show: ' : ''}${name} - ${attrs.start_local || attrs.start_time} (${attrs.invitee_timezone})`.slice(0, 255);
+}
+
+export function eventFields(attrs, { sobject, recordId }, config = activityConfig()) {
+  const description = [
+    `Calendly event: ${attrs.event_uri}`,
+    attrs.join_url ? `Join: ${attrs.join_url}` : null,
+    attrs.host_name ? `Host: ${attrs.host_name}` : null,
+    attrs.no_show ? `Marked as no-show in Calendly at ${attrs.no_show_at}` : null,
+    attrs.payment_status !== 'unpaid' ? `Payment: ${attrs.payment_status}, ${attrs.payment_amount ?? '?'} ${attrs.payment_currency || ''} via ${attrs.payment_provider || 'unknown'}${attrs.payment_external_id ? ` (${attrs.payment_external_id})` : ''}` : null,
+    attrs.reschedule_url ? `Reschedule: ${attrs.reschedule_url}` : null,
+    attrs.cancel_url ? `Cancel: ${attrs.cancel_url}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    // Events hang off Leads/Contacts by WhoId; Person Accounts via WhatId.
+    ...(sobject === 'Account' ? { WhatId: recordId } : { WhoId: recordId }),
+    Subject: eventSubject(attrs),
+    StartDateTime: attrs.start_time,
+    EndDateTime: attrs.end_time || attrs.start_time,
+    Location: (attrs.location || '').slice(0, 255) || null,
+    Description: description,
+    ShowAs: 'Busy',
+    [config.externalIdField]: attrs.event_uri
+  };
+}
+
+async function existingEvents(sf, uris, config) {
+  const byUri = new Map();
+  const list = [...new Set(uris.filter(Boolean))];
+  for (let i = 0; i < list.length; i += IN_CHUNK) {
+    const part = list.slice(i, i + IN_CHUNK);
+    const q = await sf.query(`SELECT Id, Subject, ${config.externalIdField} FROM Event WHERE ${config.externalIdField} IN (${part.map(soqlString).join(', ')})`);
+    for (const r of q.records) byUri.set(r[config.externalIdField], r);
+  }
+  return byUri;
+}
+
+const firstError = (r) => r.errors?.[0]?.message || 'Salesforce rejected the Event';
+
+// items: [{ attrs, action, invitee, sobject, recordId }]. Returns one
+// { status, eventId, error? } per item where status is 'created', 'updated',
+// 'cancelled', 'deleted', 'none' (nothing to do) or 'error'.
+export async function syncActivities(sf, items, { config = activityConfig(), dryRun = false } = {}) {
+  const out = items.map(() => ({ status: 'none', eventId: null }));
+  if (!config.enabled || !items.length) return out;
+
+  const existing = await existingEvents(sf, items.flatMap(it => [it.attrs.event_uri, previousEventUri(it.invitee)]), config);
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+
+  // One Event per scheduled event: when a batch carries several deliveries for
+  // the same event only the last is applied and the rest share its result.
+  const lastFor = new Map();
+  items.forEach((it, i) => { if (it.recordId && it.attrs.event_uri) lastFor.set(it.attrs.event_uri, i); });
+
+  items.forEach((it, i) => {
+    if (lastFor.get(it.attrs.event_uri) !== i) return;
+    const current = existing.get(it.attrs.event_uri) || existing.get(previousEventUri(it.invitee));
+
+    if (it.action === 'cancel') {
+      if (!current) return;
+      if (config.onCancel === 'delete') {
+        deletes.push({ i, id: current.Id });
+      } else if (!String(current.Subject || '').startsWith('Cancelled: ')) {
+        updates.push({ i, status: 'cancelled', record: { Id: current.Id, Subject: `Cancelled: ${current.Subject || ''}`.slice(0, 255), ShowAs: 'Free' } });
+      } else {
+        out[i] = { status: 'none', eventId: current.Id };
+      }
+      return;
+    }
+
+    const fields = eventFields(it.attrs, it, config);
+    if (current) updates.push({ i, status: 'updated', record: { Id: current.Id, ...fields } });
+    else creates.push({ i, status: 'created', record: fields });
+  });
+
+  if (dryRun) {
+    for (const c of [...creates, ...updates]) out[c.i] = { status: c.status, eventId: c.record.Id || null };
+    for (const d of deletes) out[d.i] = { status: 'deleted', eventId: d.id };
+    return shareResults(items, out, lastFor);
+  }
+
+  const apply = (list, results) => list.forEach((c, j) => {
+    const r = results[j];
+    out[c.i] = r.success ? { status: c.status, eventId: r.id || c.record.Id } : { status: 'error', eventId: c.record.Id || null, error: firstError(r) };
+  });
+
+  if (creates.length) apply(creates, await sf.createMany(creates.map(c => ({ attributes: { type: 'Event' }, ...c.record }))));
+  if (updates.length) apply(updates, await sf.updateMany(updates.map(c => ({ attributes: { type: 'Event' }, ...c.record }))));
+  if (deletes.length) {
+    const results = await sf.deleteMany(deletes.map(d => d.id));
+    deletes.forEach((d, j) => {
+      out[d.i] = results[j].success ? { status: 'deleted', eventId: d.id } : { status: 'error', eventId: d.id, error: firstError(results[j]) };
+    });
+  }
+  return shareResults(items, out, lastFor);
+}
+
+function shareResults(items, out, lastFor) {
+  return out.map((r, i) => {
+    const last = lastFor.get(items[i].attrs.event_uri);
+    return last !== undefined && last !== i ? { ...out[last] } : r;
+  });
+}
@@ -0,0 +1,31 @@
+// /lib/auth.js
+// Bearer-token check for the admin and status endpoints.
+//
+// SYNC_ADMIN_TOKEN   secret for the admin endpoints; CRON_SECRET is accepted as
+//                    well so the scheduler's secret works. With neither set the
+//                    endpoints refuse every request.
+
+import crypto from 'node:crypto';
+import { header } from './http.js';
+
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function adminSecrets(env = process.env) {
+  return [env.SYNC_ADMIN_TOKEN, env.CRON_SECRET].map(s => (s || '').trim()).filter(Boolean);
+}
+
+export function matchesSecret(value, secrets) {
+  return !!value && secrets.some(s => sameSecret(String(value).trim(), s));
+}
+
+export function bearerToken(req) {
+  return /^Bearer\s+(.+)$/i.exec(header(req, 'authorization') || '')?.[1] || null;
+}
+
+export function isAdminRequest(req, secrets = adminSecrets()) {
+  return matchesSecret(bearerToken(req), secrets);
+}
@@ -0,0 +1,115 @@
+// /lib/calendly.js
+// Calendly API access and webhook signature verification.
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_SIGNATURE_TOLERANCE_SEC = 180;
+
+export function calendlyApiUrl() {
+  return (process.env.CALENDLY_API_URL || 'https://api.calendly.com').replace(/\/+$/, '');
+}
+
+export function calendlyToken() {
+  const token = (process.env.CALENDLY_PAT || '').trim();
+  if (!token) throw new Error('Missing CALENDLY_PAT env var');
+  return token;
+}
+
+export async function calendlyGet(uri, token = calendlyToken()) {
+  return calendlyRequest('GET', uri, undefined, token);
+}
+
+// Writes (webhook subscriptions, scheduling links, cancellations). Resolves to
+// the parsed body, or null for an empty 204.
+export async function calendlyRequest(method, uri, body, token = calendlyToken()) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const r = await fetch(uri, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  if (!r.ok) {
+    const problem = await r.json().catch(() => null);
+    const err = new Error(`Calendly API error ${r.status}${problem?.title ? ` (${problem.title})` : ''}`);
+    err.status = r.status;
+    err.errorCode = problem?.title || null;
+    err.service = 'calendly';
+    err.details = problem?.details || null;
+    throw err;
+  }
+  if (r.status === 204) return null;
+  const text = await r.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Whether a URI names a scheduled event (or one of its invitees) on this
+// Calendly API. URIs from unsigned bodies are checked with it before our
+// token is sent to them.
+export function isScheduledEventUri(uri) {
+  return typeof uri === 'string' && uri.startsWith(`${calendlyApiUrl()}/scheduled_events/`);
+}
+
+// Invitee URIs nest under their scheduled event:
+// .../scheduled_events/<event>/invitees/<invitee>.
+export function eventUriOfInvitee(inviteeUri) {
+  return inviteeUri ? String(inviteeUri).split('/invitees/')[0] : null;
+}
+
+// Where Calendly should deliver webhooks: CALENDLY_WEBHOOK_URL, or this
+// deployment's /api/calendly-hook derived from the request's host.
+export function webhookCallbackUrl(req) {
+  if (process.env.CALENDLY_WEBHOOK_URL) return process.env.CALENDLY_WEBHOOK_URL;
+  const headers = req?.headers || {};
+  const host = headers['x-forwarded-host'] || headers.host || process.env.VERCEL_URL;
+  if (!host) return null;
+  const proto = String(headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${proto}://${host}/api/calendly-hook`;
+}
+
+// Follows pagination.next_page and returns every item of a collection endpoint.
+export async function calendlyCollect(url, token = calendlyToken(), { maxPages = 100 } = {}) {
+  const items = [];
+  let next = url;
+  for (let page = 0; next && page < maxPages; page++) {
+    const data = await calendlyGet(next, token);
+    items.push(...(data?.collection || []));
+    next = data?.pagination?.next_page || null;
+  }
+  if (next) throw new Error(`Calendly pagination exceeded ${maxPages} pages`);
+  return items;
+}
+
+// Calendly-Webhook-Signature: t=<unix seconds>,v1=<hex hmac-sha256 of "t.body">
+export function parseSignatureHeader(value) {
+  const parts = {};
+  for (const piece of String(value || '').split(',')) {
+    const idx = piece.indexOf('=');
+    if (idx === -1) continue;
+    parts[piece.slice(0, idx).trim()] = piece.slice(idx + 1).trim();
+  }
+  return { t: parts.t || null, v1: parts.v1 || null };
+}
+
+export function signPayload(signingKey, timestamp, rawBody) {
+  return crypto.createHmac('sha256', signingKey).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Returns { ok: true } or { ok: false, reason } so callers can log why a
+// delivery was refused without leaking it to the caller.
+export function verifyWebhookSignature({ header, rawBody, signingKey, toleranceSec = DEFAULT_SIGNATURE_TOLERANCE_SEC, now = Date.now() }) {
+  if (!signingKey) return { ok: false, reason: 'missing_signing_key' };
+  if (!header) return { ok: false, reason: 'missing_signature' };
+
+  const { t, v1 } = parseSignatureHeader(header);
+  if (!t || !v1) return { ok: false, reason: 'malformed_signature' };
+
+  const ts = Number(t);
+  if (!Number.isFinite(ts)) return { ok: false, reason: 'malformed_signature' };
+  if (toleranceSec > 0 && Math.abs(now / 1000 - ts) > toleranceSec) {
+    return { ok: false, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  const expected = Buffer.from(signPayload(signingKey, t, rawBody), 'hex');
+  const given = Buffer.from(v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'signature_mismatch' };
+  }
+  return { ok: true };
+}
@@ -0,0 +1,42 @@
+// /lib/cursor.js
+// High-water mark for the cron sweep: the latest invitee created_at/updated_at
+// (or no-show marking) that has been handled, stored per Calendly organization.
+// It never passes the run's start minus SYNC_CURSOR_SKEW_SEC (default 300):
+// an invitee created while the sweep was paging may carry an older timestamp
+// than one read later, and would otherwise fall behind the cursor for good.
+
+import { createStore } from './store.js';
+
+export function inviteeChangedAt(invitee) {
+  const times = [invitee?.created_at, invitee?.updated_at, invitee?.no_show?.created_at].map(t => Date.parse(t)).filter(Number.isFinite);
+  return times.length ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+export function laterOf(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(a) >= Date.parse(b) ? a : b;
+}
+
+export function earlierOf(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(a) <= Date.parse(b) ? a : b;
+}
+
+export function cursorLimit(runStartedAt, env = process.env) {
+  const skew = Number(env.SYNC_CURSOR_SKEW_SEC);
+  const sec = Number.isFinite(skew) && skew >= 0 ? skew : 300;
+  return new Date(Date.parse(runStartedAt) - sec * 1000).toISOString();
+}
+
+export function createCursorStore(store = createStore('cursor')) {
+  return {
+    async read(key) {
+      return (await store.get(key))?.cursor || null;
+    },
+    async write(key, cursor) {
+      await store.set(key, { cursor, updatedAt: new Date().toISOString() });
+    }
+  };
+}
@@ -0,0 +1,147 @@
+// /lib/health.js
+// Readiness checks behind /api/health. Each check resolves to
+// { name, ok, latencyMs, detail, error? } and never throws, so one broken
+// dependency doesn't hide the state of the others.
+//
+//   calendly        token works and belongs to CALENDLY_ORGANIZATION_URI
+//   webhook         an active subscription delivers every handled event to
+//                   /api/calendly-hook
+//   salesforce      a fresh token can be fetched with the configured flow
+//   schema          mapped fields exist and are writable on every matched object,
+//                   for each route the org's bookings can take
+//   limits          remaining Salesforce API requests
+//
+// Checks run against one org of the routing rules (lib/routing.js), the
+// default one unless ?org=<id> says otherwise.
+//
+// SYNC_HEALTH_MIN_API_PERCENT   fail `limits` below this share of the daily
+//                               API allowance (default 5)
+
+import { calendlyApiUrl, calendlyGet, webhookCallbackUrl } from './calendly.js';
+import { createSalesforceClient, getToken } from './salesforce.js';
+import { validateAgainstDescribe } from './mapping.js';
+import { matchedSobjects } from './matching.js';
+import { activityConfig } from './activity.js';
+import { createWebhookManager, orgCallbackUrl, webhookConfig, WEBHOOK_EVENTS } from './webhooks.js';
+import { orgContext, orgRoutes, orgToken, DEFAULT_ORG } from './routing.js';
+import { createLogger, requestIdOf, errorFields } from './logger.js';
+import { json, queryParam } from './http.js';
+import { isAdminRequest } from './auth.js';
+
+export const CHECKS = ['calendly', 'webhook', 'salesforce', 'schema', 'limits'];
+
+async function timed(name, fn) {
+  const started = Date.now();
+  try {
+    const { ok = true, ...detail } = (await fn()) || {};
+    return { name, ok, latencyMs: Date.now() - started, detail };
+  } catch (err) {
+    const { error, ...rest } = errorFields(err);
+    return { name, ok: false, latencyMs: Date.now() - started, detail: { ...rest, problems: err.problems }, error };
+  }
+}
+
+const checks = {
+  async calendly({ org }) {
+    const me = await calendlyGet(`${calendlyApiUrl()}/users/me`, orgToken(org));
+    const organization = me?.resource?.current_organization || null;
+    const expected = org.organizationUri;
+    return {
+      ok: !!expected && organization === expected,
+      whoami: me?.resource?.slug || null,
+      organization,
+      expected,
+      reason: !expected ? 'organization URI is not set' : organization !== expected ? 'token belongs to a different organization' : undefined
+    };
+  },
+
+  async webhook({ req, org }) {
+    const callbackUrl = orgCallbackUrl(webhookCallbackUrl(req), org.id);
+    const manager = createWebhookManager({ config: webhookConfig(process.env, org), token: orgToken(org) });
+    const ours = (await manager.list()).filter(s => s.callback_url === callbackUrl);
+    const active = ours.find(s => s.state === 'active');
+    const sub = active || ours[0];
+    const missingEvents = sub ? WEBHOOK_EVENTS.filter(e => !(sub.events || []).includes(e)) : WEBHOOK_EVENTS;
+    return {
+      ok: !!active && !missingEvents.length,
+      callbackUrl,
+      subscription: sub?.uri || null,
+      state: sub?.state || null,
+      events: sub?.events || [],
+      missingEvents,
+      reason: !ours.length ? 'no subscription for this callback URL' : !active ? 'subscription is not active' : missingEvents.length ? 'subscription is missing events' : undefined
+    };
+  },
+
+  async salesforce({ config }) {
+    const tok = await getToken(config, { force: true });
+    return { flow: config.flow, instanceUrl: tok.instanceUrl, tokenType: tok.tokenType, scope: tok.scope };
+  },
+
+  async schema({ org, sf }) {
+    const objects = {};
+    const problems = new Set();
+    const describes = new Map();
+    const routes = orgRoutes(org.id);
+    for (const route of routes) {
+      for (const sobject of matchedSobjects(route.matching)) {
+        if (!describes.has(sobject)) describes.set(sobject, await sf.describe(sobject));
+        const check = validateAgainstDescribe(route.mapping, describes.get(sobject), { sobject, includeNewLead: route.matching.createLeads });
+        if (objects[sobject] !== 'invalid') objects[sobject] = check.problems.length ? 'invalid' : 'ok';
+        for (const p of check.problems) problems.add(route.name === 'default' ? p : `${route.name}: ${p}`);
+      }
+    }
+    const activity = activityConfig();
+    if (activity.enabled) {
+      const describe = await sf.describe('Event');
+      const field = (describe?.fields || []).find(f => f.name === activity.externalIdField);
+      objects.Event = field ? 'ok' : 'invalid';
+      if (!field) problems.add(`Event.${activity.externalIdField} does not exist`);
+    }
+    return { ok: !problems.size, routes: routes.map(r => r.name), objects, problems: [...problems] };
+  },
+
+  async limits({ sf }) {
+    const limits = await sf.request('GET', '/limits');
+    const daily = limits?.DailyApiRequests || {};
+    const minPercent = Number(process.env.SYNC_HEALTH_MIN_API_PERCENT ?? 5);
+    const percentRemaining = daily.Max ? Math.round((daily.Remaining / daily.Max) * 1000) / 10 : null;
+    return {
+      ok: percentRemaining === null || percentRemaining >= minPercent,
+      dailyApiRequests: { max: daily.Max ?? null, remaining: daily.Remaining ?? null },
+      percentRemaining
+    };
+  }
+};
+
+// names: subset of CHECKS to run (all by default). They run concurrently.
+export async function runHealthChecks(names = CHECKS, { req = null, orgId = DEFAULT_ORG } = {}) {
+  const org = orgContext(orgId);
+  const config = org.sf;
+  const sf = createSalesforceClient(config);
+  const results = await Promise.all(names.map(name => timed(name, () => checks[name]({ req, org, config, sf }))));
+  return { ok: results.every(r => r.ok), org: org.id, checks: results };
+}
+
+// Handler body shared by /api/health and its aliases; `legacy` adds the
+// aliases' old response fields.
+export async function respondHealth(req, res, { component, names, legacy = () => ({}) }) {
+  const log = createLogger({ component, requestId: requestIdOf(req) });
+  if (req.method !== 'GET') return json(res, 405, { ok: false, error: 'Method not allowed' });
+  if (!isAdminRequest(req)) {
+    log.warn('health.unauthorized');
+    return json(res, 401, { ok: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const report = await runHealthChecks(names, { req, orgId: queryParam(req, 'org') || DEFAULT_ORG });
+    for (const c of report.checks) {
+      log[c.ok ? 'info' : 'warn']('health.check', { check: c.name, ok: c.ok, latencyMs: c.latencyMs, error: c.error, status: c.detail.status, errorCode: c.detail.errorCode });
+    }
+    log.info('health.finished', { org: report.org, ok: report.ok, durationMs: log.elapsed() });
+    return json(res, report.ok ? 200 : 503, { ...legacy(report), ok: report.ok, org: report.org, checks: report.checks });
+  } catch (err) {
+    log.error('health.failed', { ...errorFields(err), durationMs: log.elapsed() });
+    return json(res, err.status === 400 ? 400 : 500, { ok: false, error: String(err.message || err) });
+  }
+}
@@ -0,0 +1,59 @@
+// /lib/http.js
+// Small response/request helpers shared by the API routes.
+
+export function json(res, code, obj, headers = {}) {
+  res.statusCode = code;
+  res.setHeader('Content-Type', 'application/json');
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  res.end(JSON.stringify(obj));
+}
+
+// Webhook signatures are computed over the exact bytes Calendly sent, so read
+// the stream ourselves when it hasn't been consumed yet. Falls back to whatever
+// the runtime already parsed into req.body.
+export async function readRawBody(req) {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (raw) return raw;
+  }
+
+  const body = req.body;
+  if (body == null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return JSON.stringify(body);
+}
+
+export function parseJson(text) {
+  if (!text) return {};
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+export function header(req, name) {
+  const v = req.headers?.[name.toLowerCase()];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+export function queryParam(req, name) {
+  if (req.query && req.query[name] !== undefined) {
+    const v = req.query[name];
+    return Array.isArray(v) ? v[0] : v;
+  }
+  return new URL(req.url || '/', 'http://localhost').searchParams.get(name);
+}
+
+// Interprets "1", "true", "yes" and "on" (any case) as true.
+export function truthy(value, fallback = false) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (!v) return fallback;
+  return v === '1' || v === 'true' || v === 'yes' || v === 'on';
+}
+
+export function envFlag(name, fallback = false) {
+  return truthy(process.env[name], fallback);
+}
@@ -0,0 +1,50 @@
+// /lib/ledger.js
+// Idempotency ledger: per invitee URI, the fingerprint of what was last written
+// to Salesforce and which record it went to. A booking whose fingerprint hasn't
+// changed is skipped without touching Salesforce.
+
+import { createStore } from './store.js';
+
+export function fingerprintOf(plan, attrs) {
+  return {
+    eventUri: attrs.event_uri,
+    startTime: attrs.start_time,
+    date: attrs.start_date,
+    paid: attrs.paid === null ? null : !!attrs.paid,
+    canceled: plan.action === 'cancel',
+    // null rather than false so entries written before no-show tracking
+    // still match.
+    noShow: attrs.no_show ? true : null
+  };
+}
+
+// { field: { from, to } } for every fingerprint value that differs.
+export function diffFingerprint(previous, next) {
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    const from = previous ? previous[key] ?? null : null;
+    const to = next[key] ?? null;
+    if (from !== to) changes[key] = { from, to };
+  }
+  return changes;
+}
+
+export function createLedger(store = createStore('ledger')) {
+  return {
+    async get(inviteeUri) {
+      return store.get(inviteeUri);
+    },
+    async record(inviteeUri, { fingerprint, sobject, recordId }) {
+      const entry = { fingerprint, sobject, recordId, syncedAt: new Date().toISOString() };
+      await store.set(inviteeUri, entry);
+      return entry;
+    },
+    // Every booking last written to `recordId`, as [{ inviteeUri, ...entry }].
+    // Scans the whole namespace; fine for the reverse-sync's occasional lookups.
+    async byRecord(recordId) {
+      return (await store.entries())
+        .filter(([, entry]) => entry?.recordId === recordId)
+        .map(([inviteeUri, entry]) => ({ inviteeUri, ...entry }));
+    }
+  };
+}
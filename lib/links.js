@@ -0,0 +1,80 @@
+// /lib/links.js
+// Personal booking links for Salesforce Leads: a single-use Calendly
+// scheduling link for the survey event type, prefilled with the Lead's name and
+// email and tagged with its Id (utm_content and salesforce_uuid), so the
+// booking comes back to that Lead even when the invitee types another address
+// (lib/matching.js trackedRecord). Tracking values are only URL parameters, so
+// the sync trusts a tracked Id on its own only when this registry says a link
+// was issued for it; otherwise the record's email must match too.
+//
+// CALENDLY_SURVEY_EVENT_TYPE  event type URI links are made for (other orgs
+//                             set "surveyEventType" in the routing rules)
+// SF_LEAD_LINK_FIELD          Lead field the link is written back to (off
+//                             when unset)
+
+import { calendlyApiUrl, calendlyRequest } from './calendly.js';
+import { soqlString } from './salesforce.js';
+import { createStore } from './store.js';
+
+const LEAD_ID_RE = /^00Q[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?$/;
+
+export function linkConfig(env = process.env) {
+  return { leadField: (env.SF_LEAD_LINK_FIELD || '').trim() || null };
+}
+
+export function isLeadId(value) {
+  return LEAD_ID_RE.test(String(value ?? ''));
+}
+
+// Leads links were issued for, keyed by the 15-character Id.
+export function createLinkRegistry(store = createStore('links')) {
+  const key = (id) => String(id).slice(0, 15);
+  return {
+    async record(leadId, { bookingUrl, eventType }) {
+      await store.set(key(leadId), { leadId, bookingUrl, eventType, issuedAt: new Date().toISOString() });
+    },
+    async issued(leadId) {
+      return !!(leadId && await store.get(key(leadId)));
+    }
+  };
+}
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+// Calendly prefills the booking form from name/email and passes utm_* and
+// salesforce_uuid through to the invitee's tracking.
+export function prefilledUrl(bookingUrl, lead) {
+  const url = new URL(bookingUrl);
+  const name = [lead.FirstName, lead.LastName].filter(Boolean).join(' ');
+  if (name) url.searchParams.set('name', name);
+  if (lead.Email) url.searchParams.set('email', lead.Email);
+  url.searchParams.set('utm_content', lead.Id);
+  url.searchParams.set('salesforce_uuid', lead.Id);
+  return url.toString();
+}
+
+// Creates the link for one Lead, records it in the registry and, when
+// SF_LEAD_LINK_FIELD is set, stores it on the Lead. Returns
+// { leadId, url, bookingUrl, eventType, writtenTo }. Errors carry a 4xx `status` for a bad or unusable Lead.
+export async function createLeadLink(leadId, { sf, token, eventType, config = linkConfig(), links = createLinkRegistry() }) {
+  if (!isLeadId(leadId)) throw fail(400, 'leadId must be a Salesforce Lead Id');
+  if (!eventType) throw fail(400, 'No survey event type configured (CALENDLY_SURVEY_EVENT_TYPE)');
+
+  const q = await sf.query(`SELECT Id, FirstName, LastName, Email, IsConverted FROM Lead WHERE Id = ${soqlString(leadId)}`);
+  const lead = q.records[0];
+  if (!lead) throw fail(404, `Lead ${leadId} not found`);
+  if (lead.IsConverted) throw fail(409, `Lead ${leadId} has been converted`);
+
+  const out = await calendlyRequest('POST', `${calendlyApiUrl()}/scheduling_links`, {
+    max_event_count: 1,
+    owner: eventType,
+    owner_type: 'EventType'
+  }, token);
+  const bookingUrl = out?.resource?.booking_url;
+  if (!bookingUrl) throw new Error('Calendly returned no booking_url');
+
+  const url = prefilledUrl(bookingUrl, lead);
+  await links.record(lead.Id, { bookingUrl, eventType });
+  if (config.leadField) await sf.update('Lead', lead.Id, { [config.leadField]: url });
+  return { leadId: lead.Id, url, bookingUrl, eventType, writtenTo: config.leadField };
+}
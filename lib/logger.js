@@ -0,0 +1,88 @@
+// /lib/logger.js
+// Structured logging: one JSON line per event, so Vercel logs can be filtered
+// by field. Every line carries the level, the request/run id and whatever
+// context the logger was created with (invitee URI, record Id, ...).
+//
+// Emails are replaced by a short hash (the same address always hashes the
+// same, so a booker can still be followed across lines) and credentials are
+// dropped. LOG_PII=1 keeps emails readable; credentials are never logged.
+//
+// LOG_LEVEL   debug | info (default) | warn | error | silent
+
+import crypto from 'node:crypto';
+import { envFlag, header } from './http.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_KEY_RE = /(token|secret|password|authorization|signature|signing_?key|private_?key|assertion|cookie)/i;
+const EMAIL_IN_TEXT_RE = /[^\s@<>"',;:()]+@[^\s@<>"',;:()]+\.[A-Za-z]{2,}/g;
+const BEARER_RE = /Bearer\s+[A-Za-z0-9._~+/=!-]+/gi;
+const MAX_DEPTH = 6;
+
+export function hashEmail(email) {
+  const digest = crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+  return `email:${digest.slice(0, 12)}`;
+}
+
+function redactString(value, keepPii) {
+  const out = value.replace(BEARER_RE, 'Bearer [redacted]');
+  return keepPii ? out : out.replace(EMAIL_IN_TEXT_RE, hashEmail);
+}
+
+export function redact(value, { keepPii = envFlag('LOG_PII') } = {}, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return redactString(value, keepPii);
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(v => redact(v, { keepPii }, depth + 1));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEY_RE.test(k) && v != null ? '[redacted]' : redact(v, { keepPii }, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+// The fields a failure line needs: which service answered, with what status
+// and error code.
+export function errorFields(err) {
+  if (!err) return {};
+  if (typeof err === 'string') return { error: err };
+  return {
+    error: err.message || String(err),
+    errorName: err.name && err.name !== 'Error' ? err.name : undefined,
+    service: err.service || (err.name === 'SalesforceError' ? 'salesforce' : undefined),
+    status: err.status ?? undefined,
+    errorCode: err.errorCode ?? undefined
+  };
+}
+
+// Vercel stamps each invocation with x-vercel-id; fall back to a fresh id.
+export function requestIdOf(req) {
+  return (req && (header(req, 'x-vercel-id') || header(req, 'x-request-id'))) || crypto.randomUUID();
+}
+
+export function createLogger(context = {}, { level = process.env.LOG_LEVEL, startedAt = Date.now() } = {}) {
+  const threshold = LEVELS[String(level || 'info').toLowerCase()] ?? LEVELS.info;
+
+  const emit = (lvl, msg, fields = {}) => {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...context };
+    for (const [k, v] of Object.entries(fields)) if (v !== undefined) entry[k] = v;
+    const line = JSON.stringify(redact(entry));
+    if (lvl === 'error') console.error(line);
+    else if (lvl === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    context,
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    // Milliseconds since the logger (i.e. the request or run) started.
+    elapsed: () => Date.now() - startedAt,
+    child: (extra) => createLogger({ ...context, ...extra }, { level, startedAt })
+  };
+}
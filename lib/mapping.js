@@ -0,0 +1,399 @@
+// /lib/mapping.js
+// Declarative Calendly -> Salesforce field mapping.
+//
+// The mapping is read from SYNC_MAPPING_JSON (inline JSON), SYNC_MAPPING_FILE
+// (path) or config/mapping.json, in that order:
+//
+//   {
+//     "sobject": "Lead",
+//     "fields":       [{ "field": "Survey_scheduled__c", "source": "start_date", "type": "date" }],
+//     "cancelFields": [{ "field": "Survey_scheduled__c", "value": null },
+//                      { "field": "Survey_cancel_reason__c", "source": "cancel_reason" }]
+//   }
+//
+// `fields` apply to new bookings and reschedules, `cancelFields` to
+// cancellations, and `noShowFields` on top of `fields` while the invitee is
+// marked as a no-show in Calendly (e.g. { "field": "Status", "value": "No Show" };
+// for a flag that also clears when the mark is removed, map the `no_show`
+// source in `fields` instead). `objects` may override these per matched object
+// (e.g. { "Contact": { "fields": [...] } }) and `newLead` lists the fields used
+// when a Lead is created for an unknown booker. Each entry takes either a `source` (see bookingAttributes, or
+// "question:<question text>" for a custom question answer) or a constant
+// `value`. `type` is one of string, date, datetime, boolean, number, currency,
+// picklist; left out, it is taken from the field's describe metadata. An
+// optional `map` object translates values before coercion (e.g. for picklists).
+//
+// Payment sources (lib/payment.js): paid, payment_status (paid | unpaid |
+// refunded), payment_amount, payment_currency, payment_provider,
+// payment_external_id, payment_expected_amount and payment_mismatch. Mapping
+// `paid` in cancelFields clears the paid flag when a cancellation refunds.
+// The shipped config/mapping.json only writes `paid`, because the fields for
+// the rest differ per org and a mapped field that doesn't exist fails every
+// sync. To record amount, currency, provider, transaction id and status, map
+// them per org; config/mapping.payments.json is a starting point
+// (SYNC_MAPPING_FILE=config/mapping.payments.json once its Survey_payment_*
+// fields exist on the Lead).
+
+import fs from 'node:fs';
+import { cancellationOf, isCanceled } from './survey.js';
+import { interpretPayment } from './payment.js';
+
+export class MappingError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+    this.name = 'MappingError';
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_MAPPING_URL = new URL('../config/mapping.json', import.meta.url);
+
+const TYPES = new Set(['string', 'date', 'datetime', 'boolean', 'number', 'currency', 'picklist']);
+
+// Salesforce describe types each mapping type may be written to.
+const COMPATIBLE = {
+  string: ['string', 'textarea', 'url', 'email', 'phone', 'picklist', 'multipicklist', 'combobox'],
+  date: ['date', 'string', 'textarea'],
+  datetime: ['datetime', 'string', 'textarea'],
+  boolean: ['boolean'],
+  number: ['double', 'int', 'currency', 'percent', 'string'],
+  currency: ['currency', 'double', 'string'],
+  picklist: ['picklist', 'multipicklist', 'combobox', 'string']
+};
+
+const DESCRIBE_TO_TYPE = {
+  date: 'date', datetime: 'datetime', boolean: 'boolean', currency: 'currency',
+  double: 'number', int: 'number', percent: 'number',
+  picklist: 'picklist', multipicklist: 'picklist', combobox: 'picklist'
+};
+
+const list = (v) => (Array.isArray(v) ? v : []);
+
+export function parseMapping(input) {
+  const m = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!m || typeof m !== 'object') throw new MappingError('Mapping must be an object');
+  const mapping = {
+    sobject: m.sobject || 'Lead',
+    fields: list(m.fields),
+    cancelFields: list(m.cancelFields),
+    noShowFields: list(m.noShowFields),
+    objects: {},
+    newLead: list(m.newLead)
+  };
+  for (const [name, o] of Object.entries(m.objects || {})) {
+    mapping.objects[name] = { fields: list(o?.fields), cancelFields: list(o?.cancelFields), noShowFields: list(o?.noShowFields) };
+  }
+
+  const groups = [
+    ['fields', mapping.fields],
+    ['cancelFields', mapping.cancelFields],
+    ['noShowFields', mapping.noShowFields],
+    ['newLead', mapping.newLead]
+  ];
+  for (const [name, o] of Object.entries(mapping.objects)) {
+    groups.push([`objects.${name}.fields`, o.fields], [`objects.${name}.cancelFields`, o.cancelFields], [`objects.${name}.noShowFields`, o.noShowFields]);
+  }
+  const problems = [];
+  for (const [label, entries] of groups) {
+    entries.forEach((e, i) => {
+      if (!e?.field) problems.push(`${label}[${i}] is missing "field"`);
+      if (!('source' in (e || {})) && !('value' in (e || {}))) problems.push(`${label}[${i}] needs "source" or "value"`);
+      if (e?.type && !TYPES.has(e.type)) problems.push(`${label}[${i}] has unknown type "${e.type}"`);
+    });
+  }
+  if (problems.length) throw new MappingError('Invalid mapping', problems);
+  return mapping;
+}
+
+let cachedMapping = null;
+
+export function loadMapping({ reload = false } = {}) {
+  if (cachedMapping && !reload) return cachedMapping;
+  if (process.env.SYNC_MAPPING_JSON) {
+    cachedMapping = parseMapping(process.env.SYNC_MAPPING_JSON);
+  } else {
+    const file = process.env.SYNC_MAPPING_FILE || DEFAULT_MAPPING_URL;
+    cachedMapping = parseMapping(fs.readFileSync(file, 'utf8'));
+  }
+  return cachedMapping;
+}
+
+// The field lists that apply when the matched record is `sobject`.
+export function mappingFor(mapping, sobject = mapping.sobject) {
+  const o = mapping.objects[sobject];
+  return {
+    sobject,
+    fields: o?.fields.length ? o.fields : mapping.fields,
+    cancelFields: o?.cancelFields.length ? o.cancelFields : mapping.cancelFields,
+    noShowFields: o?.noShowFields.length ? o.noShowFields : mapping.noShowFields
+  };
+}
+
+export function mappedFieldNames(objMapping) {
+  return [...new Set([...objMapping.fields, ...objMapping.cancelFields, ...objMapping.noShowFields].map(e => e.field))];
+}
+
+// ---- Calendly attributes ----
+
+function partsIn(iso, tz) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return null;
+  let fmt;
+  try {
+    fmt = new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+  } catch {
+    return partsIn(iso, 'UTC');
+  }
+  const p = Object.fromEntries(fmt.formatToParts(d).map(x => [x.type, x.value]));
+  return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+}
+
+export function localDate(iso, tz = 'UTC') {
+  if (!iso) return null;
+  return partsIn(iso, tz)?.date || null;
+}
+
+export function localDateTime(iso, tz = 'UTC') {
+  if (!iso) return null;
+  const p = partsIn(iso, tz);
+  return p ? `${p.date} ${p.time}` : null;
+}
+
+// Flat view of an invitee + scheduled event that mapping sources refer to.
+// Payment fields come from lib/payment.js so both sync paths agree on them.
+export function bookingAttributes({ invitee, event }) {
+  const tz = invitee?.timezone || event?.timezone || 'UTC';
+  const start = event?.start_time || null;
+  const host = event?.event_memberships?.[0] || {};
+  const loc = event?.location || {};
+  const tracking = invitee?.tracking || {};
+  const nameParts = String(invitee?.name || '').trim().split(/\s+/).filter(Boolean);
+  const payment = interpretPayment({ invitee, event, canceled: isCanceled(invitee, event) });
+  const cancel = cancellationOf(invitee, event);
+
+  return {
+    invitee_uri: invitee?.uri || null,
+    invitee_email: invitee?.email || null,
+    invitee_name: invitee?.name || null,
+    invitee_first_name: invitee?.first_name || (nameParts.length > 1 ? nameParts.slice(0, -1).join(' ') : null),
+    invitee_last_name: invitee?.last_name || nameParts[nameParts.length - 1] || String(invitee?.email || '').split('@')[0] || null,
+    invitee_phone: invitee?.text_reminder_number || null,
+    invitee_timezone: tz,
+    status: invitee?.status || event?.status || null,
+    event_uri: event?.uri || invitee?.event || null,
+    event_type_uri: event?.event_type || null,
+    event_type_name: event?.name || null,
+    start_time: start,
+    end_time: event?.end_time || null,
+    start_date: localDate(start, tz),
+    start_local: localDateTime(start, tz),
+    host_name: host.user_name || null,
+    host_email: host.user_email || null,
+    location: loc.location || loc.join_url || loc.type || null,
+    location_type: loc.type || null,
+    join_url: loc.join_url || null,
+    paid: payment.paid,
+    payment_status: payment.status,
+    payment_amount: payment.amount,
+    payment_currency: payment.currency,
+    payment_provider: payment.provider,
+    payment_external_id: payment.externalId,
+    payment_expected_amount: payment.expected?.amount ?? null,
+    payment_mismatch: payment.mismatch,
+    cancel_url: invitee?.cancel_url || null,
+    reschedule_url: invitee?.reschedule_url || null,
+    cancel_reason: cancel.reason,
+    canceled_by: cancel.canceledBy,
+    canceler_type: cancel.cancelerType,
+    no_show: !!invitee?.no_show,
+    no_show_at: invitee?.no_show?.created_at || null,
+    utm_source: tracking.utm_source || null,
+    utm_medium: tracking.utm_medium || null,
+    utm_campaign: tracking.utm_campaign || null,
+    utm_content: tracking.utm_content || null,
+    utm_term: tracking.utm_term || null,
+    salesforce_uuid: tracking.salesforce_uuid || null,
+    questions_and_answers: invitee?.questions_and_answers || []
+  };
+}
+
+function sourceValue(attrs, source) {
+  if (typeof source === 'string' && source.startsWith('question:')) {
+    const wanted = source.slice('question:'.length).trim().toLowerCase();
+    const qa = attrs.questions_and_answers.find(q => String(q.question || '').trim().toLowerCase() === wanted);
+    return qa ? qa.answer : null;
+  }
+  return attrs[source] ?? null;
+}
+
+// ---- Coercion ----
+
+export function coerce(value, type, { tz = 'UTC', describe = null } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return type === 'boolean' ? false : null;
+  }
+  switch (type) {
+    case 'date': {
+      const s = String(value);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+      const d = localDate(s, tz);
+      if (!d) throw new MappingError(`Cannot convert "${s}" to a date`);
+      return d;
+    }
+    case 'datetime': {
+      const d = new Date(value);
+      if (Number.isNaN(d.getTime())) throw new MappingError(`Cannot convert "${value}" to a datetime`);
+      return d.toISOString();
+    }
+    case 'boolean':
+      if (typeof value === 'string') return ['true', 'yes', '1', 'y'].includes(value.trim().toLowerCase());
+      return !!value;
+    case 'number':
+    case 'currency': {
+      const n = typeof value === 'number' ? value : Number(String(value).replace(/[^0-9.-]/g, ''));
+      if (!Number.isFinite(n)) throw new MappingError(`Cannot convert "${value}" to a number`);
+      return type === 'currency' ? Math.round(n * 100) / 100 : n;
+    }
+    case 'picklist': {
+      const s = String(value);
+      const options = (describe?.picklistValues || []).filter(p => p.active !== false).map(p => p.value);
+      if (!options.length) return s;
+      const hit = options.find(o => o.toLowerCase() === s.toLowerCase());
+      if (!hit) throw new MappingError(`"${s}" is not a valid value for ${describe.name}`);
+      return hit;
+    }
+    default: {
+      const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return describe?.length ? s.slice(0, describe.length) : s;
+    }
+  }
+}
+
+// Returns { fields, warnings }. Values that cannot be coerced are left out of
+// the update (so the existing Salesforce value survives) and reported.
+export function buildFields(objMapping, attrs, action, describeByField = {}) {
+  if (action === 'cancel') return buildEntries(objMapping.cancelFields, attrs, describeByField);
+  const entries = attrs.no_show ? [...objMapping.fields, ...objMapping.noShowFields] : objMapping.fields;
+  return buildEntries(entries, attrs, describeByField);
+}
+
+export function buildNewLeadFields(mapping, attrs, describeByField = {}) {
+  return buildEntries(mapping.newLead, attrs, describeByField);
+}
+
+function buildEntries(entries, attrs, describeByField) {
+  const fields = {};
+  const warnings = [];
+  for (const e of entries) {
+    const describe = describeByField[e.field] || null;
+    const type = e.type || DESCRIBE_TO_TYPE[describe?.type] || 'string';
+    let value = 'value' in e ? e.value : sourceValue(attrs, e.source);
+    if (e.map && value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(e.map, value)) {
+      value = e.map[value];
+    }
+    try {
+      fields[e.field] = coerce(value, type, { tz: attrs.invitee_timezone, describe });
+    } catch (err) {
+      warnings.push(`${e.field}: ${err.message}`);
+    }
+  }
+  return { fields, warnings };
+}
+
+function sameValue(have, want) {
+  if (want === null || have === null) return want === have;
+  if (typeof want === 'number') return Number(have) === want;
+  if (typeof want === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(want)) {
+    return new Date(have).getTime() === new Date(want).getTime();
+  }
+  return have === want;
+}
+
+// True when every field in `fields` already holds the same value on `record`.
+export function isUpToDate(record, fields) {
+  if (!record) return false;
+  return Object.entries(fields).every(([name, want]) => sameValue(record[name] ?? null, want));
+}
+
+// { field: { before, after } } for each field the update would change.
+export function fieldDiff(record, fields) {
+  const diff = {};
+  for (const [name, after] of Object.entries(fields)) {
+    const before = record ? record[name] ?? null : null;
+    if (!record || !sameValue(before, after)) diff[name] = { before, after };
+  }
+  return diff;
+}
+
+// ---- Validation against describe ----
+
+function checkEntries(sobject, entries, byName, access, problems) {
+  for (const e of entries) {
+    const f = byName[e.field];
+    if (!f) { problems.push(`${sobject}.${e.field} does not exist`); continue; }
+    if (!f[access]) problems.push(`${sobject}.${e.field} is not ${access}`);
+    if (e.type && !COMPATIBLE[e.type].includes(f.type)) {
+      problems.push(`${sobject}.${e.field} is ${f.type}, cannot hold ${e.type}`);
+    }
+    if ('value' in e && e.value === null && f.type === 'boolean') {
+      problems.push(`${sobject}.${e.field} is boolean and cannot be cleared`);
+    }
+  }
+}
+
+// Checks the update mapping for `sobject`, plus the newLead entries when
+// `includeNewLead` is set and the object is Lead.
+export function validateAgainstDescribe(mapping, describe, { sobject = mapping.sobject, includeNewLead = false } = {}) {
+  const byName = Object.fromEntries((describe?.fields || []).map(f => [f.name, f]));
+  const objMapping = mappingFor(mapping, sobject);
+  const problems = [];
+  checkEntries(sobject, [...objMapping.fields, ...objMapping.cancelFields, ...objMapping.noShowFields], byName, 'updateable', problems);
+  if (includeNewLead && sobject === 'Lead') checkEntries(sobject, mapping.newLead, byName, 'createable', problems);
+  return { problems, describeByField: byName };
+}
+
+// Validated once per warm instance and Salesforce org (orgs sharing a mapping
+// can still differ in fields and picklists); a failure is not cached so a
+// fixed config is picked up on the next invocation.
+const validated = new Map();
+
+const orgOf = (sf) => [sf.config?.loginUrl, sf.config?.instanceUrl, sf.config?.clientId, sf.config?.username];
+
+export async function ensureMappingValid(sf, mapping = loadMapping(), { sobject = mapping.sobject, includeNewLead = false } = {}) {
+  const key = JSON.stringify([orgOf(sf), mapping, sobject, includeNewLead]);
+  if (!validated.has(key)) {
+    validated.set(key, (async () => {
+      const describe = await sf.describe(sobject);
+      const { problems, describeByField } = validateAgainstDescribe(mapping, describe, { sobject, includeNewLead });
+      if (problems.length) throw new MappingError('Field mapping does not match Salesforce schema', problems);
+      return describeByField;
+    })());
+  }
+  try {
+    return await validated.get(key);
+  } catch (err) {
+    validated.delete(key);
+    throw err;
+  }
+}
+
+// Names of the fields `sobject` has in the org, described once per warm
+// instance. Lookups select only these, so a mapping that doesn't fit an
+// object fails the bookings written to it rather than the query.
+const described = new Map();
+
+export async function describedFieldNames(sf, sobject) {
+  const key = JSON.stringify([orgOf(sf), sobject]);
+  if (!described.has(key)) {
+    described.set(key, sf.describe(sobject).then(d => new Set((d?.fields || []).map(f => f.name))));
+  }
+  try {
+    return await described.get(key);
+  } catch (err) {
+    described.delete(key);
+    throw err;
+  }
+}
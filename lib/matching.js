@@ -0,0 +1,172 @@
+// /lib/matching.js
+// Finds the Salesforce records bookings belong to: an open Lead, then a
+// Contact (and optionally a Person Account). Lookups are batched with
+// WHERE ... IN (...) so a sweep costs one query per object per chunk rather
+// than one per invitee. Creating a Lead for an unknown booker (when
+// SYNC_CREATE_LEADS is enabled) happens in lib/sync.js.
+//
+// SYNC_MATCH_OBJECTS  comma list, in search order (default "Lead,Contact";
+//                     add "PersonAccount" for orgs that use them)
+// SYNC_CREATE_LEADS   create a Lead from the invitee when nothing matches
+
+import { soqlString } from './salesforce.js';
+import { envFlag } from './http.js';
+import { mappingFor, mappedFieldNames, describedFieldNames } from './mapping.js';
+
+export const OUTCOMES = ['matched_lead', 'matched_contact', 'matched_person_account', 'created_lead', 'unmatched'];
+
+const IN_CHUNK = 150;
+
+const STRATEGIES = {
+  Lead: {
+    sobject: 'Lead',
+    outcome: 'matched_lead',
+    nameFields: ['FirstName', 'LastName'],
+    emailField: 'Email',
+    filter: 'IsConverted = false'
+  },
+  Contact: {
+    sobject: 'Contact',
+    outcome: 'matched_contact',
+    nameFields: ['FirstName', 'LastName'],
+    emailField: 'Email',
+    filter: null
+  },
+  PersonAccount: {
+    sobject: 'Account',
+    outcome: 'matched_person_account',
+    nameFields: ['Name'],
+    emailField: 'PersonEmail',
+    filter: 'IsPersonAccount = true'
+  }
+};
+
+// Names SYNC_MATCH_OBJECTS and a route's "objects" may use.
+export const MATCH_OBJECTS = Object.freeze(Object.keys(STRATEGIES));
+
+const STRATEGY_BY_SOBJECT = Object.fromEntries(Object.values(STRATEGIES).map(s => [s.sobject, s]));
+
+export const OUTCOME_BY_SOBJECT = Object.fromEntries(Object.values(STRATEGIES).map(s => [s.sobject, s.outcome]));
+
+export const UNMATCHED = Object.freeze({ outcome: 'unmatched', sobject: null, id: null, record: null });
+
+export function matchConfig(env = process.env) {
+  const objects = (env.SYNC_MATCH_OBJECTS || 'Lead,Contact')
+    .split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = objects.filter(o => !STRATEGIES[o]);
+  if (unknown.length) throw new Error(`Unknown SYNC_MATCH_OBJECTS entries: ${unknown.join(', ')}`);
+  return { objects, createLeads: envFlag('SYNC_CREATE_LEADS') };
+}
+
+// Salesforce objects the configured strategies search.
+export function matchedSobjects(config = matchConfig()) {
+  return [...new Set(config.objects.map(o => STRATEGIES[o].sobject))];
+}
+
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function recordName(record) {
+  if (!record) return '';
+  return (record.Name || `${record.FirstName || ''} ${record.LastName || ''}`).trim();
+}
+
+// Mapped fields the object lacks are left out: the shipped mapping names Lead
+// fields, which a Contact without its own `objects` entry may not have.
+async function selectFor(sf, s, mapping) {
+  let mapped = mappedFieldNames(mappingFor(mapping, s.sobject));
+  if (mapped.length) {
+    const names = await describedFieldNames(sf, s.sobject);
+    mapped = mapped.filter(f => names.has(f));
+  }
+  return [...new Set(['Id', 'CreatedDate', s.emailField, ...s.nameFields, ...mapped])].join(', ');
+}
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+const ID_PREFIXES = { '00Q': 'Lead', '003': 'Contact', '001': 'Account' };
+const SF_ID_RE = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// The record a booking link was made for (lib/links.js): a Lead, Contact or
+// Account Id carried in the invitee's salesforce_uuid or utm_content tracking
+// value, or null. Only objects the booking's match config searches count, and
+// the result asks for the record's email to match unless the caller knows the
+// link was issued by us.
+export function trackedRecord(attrs, config = matchConfig()) {
+  const sobjects = matchedSobjects(config);
+  for (const value of [attrs?.salesforce_uuid, attrs?.utm_content]) {
+    const id = String(value ?? '').trim();
+    const sobject = SF_ID_RE.test(id) ? ID_PREFIXES[id.slice(0, 3)] : null;
+    if (sobject && sobjects.includes(sobject)) return { sobject, id, requireEmail: true };
+  }
+  return null;
+}
+
+const hit = (s, record) => ({ outcome: s.outcome, sobject: s.sobject, id: record.Id, record });
+
+// items: [{ email, known }] where `known` ({ sobject, id }, or a list of them
+// in order of preference) is the record the booking belongs to as far as we
+// already know: the one the ledger says it was last written to, or the one its
+// booking link was made for; one with `requireEmail` only counts when the
+// record's email is the item's. Returns one match per item, in order:
+// { outcome, sobject, id, record } with `record` holding the mapped fields'
+// current values, or UNMATCHED. Known records that were deleted (or, for
+// Leads, converted) fall back to the email search.
+export async function matchBookings(sf, items, { mapping, config = matchConfig() }) {
+  const results = items.map(() => null);
+
+  // ---- Known record Ids ----
+  const known = items.map(it => (Array.isArray(it.known) ? it.known : [it.known]).filter(k => k?.sobject && k.id));
+  const found = new Map();
+  // Link Ids may be the 15-character form; queries answer with 18.
+  const foundKey = (sobject, id) => `${sobject}:${String(id).slice(0, 15)}`;
+  for (const s of Object.values(STRATEGIES)) {
+    const ids = [...new Set(known.flat().filter(k => k.sobject === s.sobject).map(k => k.id))];
+    for (const part of chunk(ids, IN_CHUNK)) {
+      const where = [`Id IN (${part.map(soqlString).join(', ')})`, s.filter].filter(Boolean).join(' AND ');
+      const q = await sf.query(`SELECT ${await selectFor(sf, s, mapping)} FROM ${s.sobject} WHERE ${where}`);
+      for (const r of q.records) found.set(foundKey(s.sobject, r.Id), hit(s, r));
+    }
+  }
+  const usable = (k, it) => {
+    const h = found.get(foundKey(k.sobject, k.id));
+    if (!h || !k.requireEmail) return h;
+    const email = String(h.record[STRATEGY_BY_SOBJECT[h.sobject].emailField] || '').toLowerCase();
+    return email && email === String(it.email || '').toLowerCase() ? h : null;
+  };
+  known.forEach((candidates, i) => {
+    for (const k of candidates) {
+      const h = usable(k, items[i]);
+      if (h) { results[i] = h; break; }
+    }
+  });
+
+  // ---- Email search, object by object ----
+  for (const name of config.objects) {
+    const s = STRATEGIES[name];
+    const idx = items
+      .map((it, i) => (!results[i] && it.email && EMAIL_RE.test(it.email) ? i : -1))
+      .filter(i => i >= 0);
+    if (!idx.length) continue;
+    const emails = [...new Set(idx.map(i => items[i].email.toLowerCase()))];
+    const byEmail = new Map();
+    for (const part of chunk(emails, IN_CHUNK)) {
+      const where = [`${s.emailField} IN (${part.map(soqlString).join(', ')})`, s.filter].filter(Boolean).join(' AND ');
+      const q = await sf.query(`SELECT ${await selectFor(sf, s, mapping)} FROM ${s.sobject} WHERE ${where} ORDER BY CreatedDate DESC`);
+      // Newest record per email wins, as with the old LIMIT 1 lookup.
+      for (const r of q.records) {
+        const key = String(r[s.emailField] || '').toLowerCase();
+        if (!byEmail.has(key)) byEmail.set(key, r);
+      }
+    }
+    for (const i of idx) {
+      const record = byEmail.get(items[i].email.toLowerCase());
+      if (record) results[i] = hit(s, record);
+    }
+  }
+
+  return results.map(r => r || UNMATCHED);
+}
@@ -0,0 +1,96 @@
+// /lib/payment.js
+// The one reading of a Calendly invitee's payment, shared by the webhook and
+// the cron so both paths agree on whether a booking is paid.
+//
+// A payment counts when Calendly says it was successful; payloads without the
+// `successful` flag fall back to having an amount or a transaction id.
+//
+// SYNC_REFUND_ON_CANCEL   treat a cancelled paid booking as refunded, so
+//                         `paid` goes false (default on)
+// SYNC_EXPECTED_PRICES    expected price per event type, keyed by event type
+//                         URI or event name, as "95.00 GBP" or
+//                         { "amount": 95, "currency": "GBP" }. Payments that
+//                         don't match are flagged in `payment_mismatch`.
+
+import { envFlag } from './http.js';
+
+const PROVIDERS = { stripe: 'Stripe', paypal: 'PayPal' };
+
+export function parsePrice(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return { amount: value, currency: null };
+  if (typeof value === 'object') {
+    const amount = Number(value.amount);
+    return Number.isFinite(amount) ? { amount, currency: value.currency ? String(value.currency).toUpperCase() : null } : null;
+  }
+  const m = /^\s*([0-9]+(?:\.[0-9]+)?)\s*([A-Za-z]{3})?\s*$/.exec(String(value));
+  return m ? { amount: Number(m[1]), currency: m[2] ? m[2].toUpperCase() : null } : null;
+}
+
+export function paymentConfig(env = process.env) {
+  let prices = {};
+  if (env.SYNC_EXPECTED_PRICES) {
+    try {
+      prices = JSON.parse(env.SYNC_EXPECTED_PRICES);
+    } catch {
+      throw new Error('SYNC_EXPECTED_PRICES is not valid JSON');
+    }
+  }
+  return {
+    refundOnCancel: envFlag('SYNC_REFUND_ON_CANCEL', true),
+    prices: Object.fromEntries(Object.entries(prices).map(([k, v]) => [k, parsePrice(v)]).filter(([, v]) => v))
+  };
+}
+
+const sameAmount = (a, b) => Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+
+// Returns { status: 'paid' | 'unpaid' | 'refunded', paid, amount, currency,
+// provider, externalId, expected, mismatch } where `mismatch` describes how the
+// payment differs from the event type's expected price (null when it matches
+// or no price is configured).
+export function interpretPayment({ invitee, event, canceled = false }, config = paymentConfig()) {
+  const p = invitee?.payment || null;
+  const captured = !!p && (typeof p.successful === 'boolean'
+    ? p.successful
+    : Number(p.amount) > 0 || !!p.external_id);
+  const status = !captured ? 'unpaid' : canceled && config.refundOnCancel ? 'refunded' : 'paid';
+
+  const amount = p?.amount ?? null;
+  const currency = p?.currency ? String(p.currency).toUpperCase() : null;
+  const expected = config.prices[event?.event_type] || config.prices[event?.name] || null;
+
+  let mismatch = null;
+  if (expected && !canceled) {
+    if (!captured) {
+      if (expected.amount > 0) mismatch = `no payment, expected ${expected.amount}${expected.currency ? ` ${expected.currency}` : ''}`;
+    } else if (!sameAmount(amount, expected.amount)) {
+      mismatch = `paid ${amount}${currency ? ` ${currency}` : ''}, expected ${expected.amount}${expected.currency ? ` ${expected.currency}` : ''}`;
+    } else if (expected.currency && currency && expected.currency !== currency) {
+      mismatch = `paid in ${currency}, expected ${expected.currency}`;
+    }
+  }
+
+  return {
+    status,
+    paid: status === 'paid',
+    amount,
+    currency,
+    provider: p?.provider ? PROVIDERS[String(p.provider).toLowerCase()] || p.provider : null,
+    externalId: p?.external_id ?? null,
+    expected,
+    mismatch
+  };
+}
+
+// The payment part of a booking's attributes, for responses and run history.
+export function paymentSummary(attrs) {
+  return {
+    status: attrs.payment_status,
+    amount: attrs.payment_amount,
+    currency: attrs.payment_currency,
+    provider: attrs.payment_provider,
+    externalId: attrs.payment_external_id,
+    expectedAmount: attrs.payment_expected_amount,
+    mismatch: attrs.payment_mismatch
+  };
+}
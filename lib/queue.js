@@ -0,0 +1,78 @@
+// /lib/queue.js
+// Durable retry queue for bookings that could not be synced straight away.
+// Items are keyed by invitee URI, so a booking is only ever queued once; the
+// cron endpoint drains whatever is due.
+//
+// SYNC_QUEUE_MAX_ATTEMPTS    attempts before an item is dead-lettered (default 8)
+// SYNC_QUEUE_BASE_DELAY_SEC  first retry delay, doubled per attempt (default 60)
+// SYNC_QUEUE_MAX_DELAY_SEC   backoff ceiling (default 21600 = 6h)
+
+import { createStore } from './store.js';
+
+const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== undefined && v !== '' ? Number(v) : fallback);
+
+export function queueConfig(env = process.env) {
+  return {
+    maxAttempts: num(env.SYNC_QUEUE_MAX_ATTEMPTS, 8),
+    baseDelaySec: num(env.SYNC_QUEUE_BASE_DELAY_SEC, 60),
+    maxDelaySec: num(env.SYNC_QUEUE_MAX_DELAY_SEC, 21600)
+  };
+}
+
+export function backoffMs(attempts, config = queueConfig()) {
+  const sec = Math.min(config.baseDelaySec * 2 ** Math.max(0, attempts - 1), config.maxDelaySec);
+  return sec * 1000;
+}
+
+// A readOnly queue (used by dry runs) computes what enqueue/complete would do
+// without persisting it.
+export function createQueue(store = createStore('queue'), config = queueConfig(), { readOnly = false } = {}) {
+  return {
+    readOnly,
+    config,
+
+    async get(id) {
+      return store.get(id);
+    },
+
+    // `attempts` counts the failure that led to enqueueing, so the first
+    // retry waits baseDelaySec.
+    async enqueue(id, payload, { error = null, reason = 'error', now = Date.now() } = {}) {
+      const existing = await store.get(id);
+      const attempts = (existing?.attempts || 0) + 1;
+      const item = {
+        id,
+        payload: { ...(existing?.payload || {}), ...payload },
+        status: attempts >= config.maxAttempts ? 'dead' : 'pending',
+        reason,
+        attempts,
+        nextAttemptAt: new Date(now + backoffMs(attempts, config)).toISOString(),
+        lastError: error ? String(error.message || error).slice(0, 500) : null,
+        createdAt: existing?.createdAt || new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+      };
+      if (!readOnly) await store.set(id, item);
+      return item;
+    },
+
+    async complete(id) {
+      if (!readOnly) await store.delete(id);
+    },
+
+    async due({ now = Date.now(), limit = 50 } = {}) {
+      return (await store.entries())
+        .map(([, item]) => item)
+        .filter(item => item?.status === 'pending' && Date.parse(item.nextAttemptAt) <= now)
+        .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt))
+        .slice(0, limit);
+    },
+
+    async stats() {
+      const items = (await store.entries()).map(([, item]) => item);
+      return {
+        pending: items.filter(i => i.status === 'pending').length,
+        dead: items.filter(i => i.status === 'dead').length
+      };
+    }
+  };
+}
@@ -0,0 +1,178 @@
+// /lib/reverse.js
+// Salesforce -> Calendly: when a Lead is closed in Salesforce, cancel the
+// surveys it still has booked. Notifications arrive as Outbound Messages
+// (SOAP) or Platform Event / Change Data Capture style JSON; bookings are
+// found through the ledger (and the Salesforce Event's stored Calendly event
+// URI when Event activity is on) and cancelled with Calendly's cancellation
+// API. Calendly's invitee.canceled webhook then clears the Lead's fields as
+// for any other cancellation.
+//
+// SF_REVERSE_SYNC_TOKEN          shared secret callers must present, as
+//                                ?token= (Outbound Messages can't send
+//                                headers) or Authorization: Bearer
+// SF_ORGANIZATION_ID             when set, Outbound Messages from other orgs
+//                                are refused
+// SYNC_REVERSE_CANCEL_STATUSES   comma list of Lead statuses that cancel
+//                                (default "Disqualified,Closed - Not Converted")
+// SYNC_REVERSE_CANCEL_REASON     reason sent to Calendly and shown to the
+//                                invitee; {status} is replaced with the Lead
+//                                status (default "Lead closed in Salesforce
+//                                ({status})")
+
+import { calendlyGet, calendlyRequest, eventUriOfInvitee } from './calendly.js';
+import { soqlString } from './salesforce.js';
+import { activityConfig } from './activity.js';
+
+const DEFAULT_STATUSES = 'Disqualified,Closed - Not Converted';
+const DEFAULT_REASON = 'Lead closed in Salesforce ({status})';
+
+export function reverseConfig(env = process.env) {
+  return {
+    token: (env.SF_REVERSE_SYNC_TOKEN || '').trim() || null,
+    organizationId: (env.SF_ORGANIZATION_ID || '').trim() || null,
+    cancelStatuses: (env.SYNC_REVERSE_CANCEL_STATUSES || DEFAULT_STATUSES).split(',').map(s => s.trim()).filter(Boolean),
+    reason: env.SYNC_REVERSE_CANCEL_REASON || DEFAULT_REASON
+  };
+}
+
+export function cancelsBooking(status, config = reverseConfig()) {
+  const s = String(status ?? '').trim().toLowerCase();
+  return !!s && config.cancelStatuses.some(c => c.toLowerCase() === s);
+}
+
+export function cancellationReason(status, config = reverseConfig()) {
+  return config.reason.replace(/\{status\}/g, status ?? '');
+}
+
+// Salesforce Ids come in 15- and 18-character forms; the first 15 identify
+// the record.
+export function sameOrgId(a, b) {
+  return !!a && !!b && String(a).slice(0, 15) === String(b).slice(0, 15);
+}
+
+// ---- Outbound Messages ----
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function xmlText(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return XML_ENTITIES[e] ?? m;
+  });
+}
+
+const tag = (name) => `(?:[\\w-]+:)?${name}`;
+
+function firstTag(xml, name) {
+  const m = new RegExp(`<${tag(name)}(?:\\s[^>]*)?>([^<]*)</${tag(name)}>`).exec(xml);
+  return m ? xmlText(m[1]).trim() : null;
+}
+
+// { organizationId, actionId, notifications: [{ id, sobject, fields }] }.
+// `fields` holds the sObject's leaf elements; xsi:nil ones are null.
+export function parseOutboundMessage(xml) {
+  const text = String(xml || '');
+  if (!new RegExp(`<${tag('notifications')}[\\s>]`).test(text)) return null;
+  const notifications = [];
+  const each = new RegExp(`<${tag('Notification')}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag('Notification')}>`, 'g');
+  for (const [, body] of text.matchAll(each)) {
+    const so = new RegExp(`<${tag('sObject')}(\\s[^>]*)?>([\\s\\S]*?)</${tag('sObject')}>`).exec(body);
+    const type = /type="(?:[\w-]+:)?(\w+)"/.exec(so?.[1] || '')?.[1] || null;
+    const fields = {};
+    for (const [, name, value] of (so?.[2] || '').matchAll(/<(?:[\w-]+:)?(\w+)(?:\s[^>]*)?>([^<]*)<\/(?:[\w-]+:)?\1>/g)) {
+      fields[name] = xmlText(value);
+    }
+    for (const [, name] of (so?.[2] || '').matchAll(/<(?:[\w-]+:)?(\w+)\s[^>]*nil="true"[^>]*\/>/g)) fields[name] = null;
+    notifications.push({ id: firstTag(so ? body.slice(0, so.index) : body, 'Id'), sobject: type, fields });
+  }
+  return { organizationId: firstTag(text, 'OrganizationId'), actionId: firstTag(text, 'ActionId'), notifications };
+}
+
+// Salesforce redelivers a message (for up to 24 hours) until it is acked.
+export function outboundAck(ack = true) {
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">'
+    + '<soapenv:Body><notificationsResponse xmlns="http://soap.sforce.com/2005/09/outbound">'
+    + `<Ack>${ack ? 'true' : 'false'}</Ack>`
+    + '</notificationsResponse></soapenv:Body></soapenv:Envelope>';
+}
+
+// [{ leadId, status }] from an Outbound Message for Leads.
+export function leadChangesFromOutbound(message) {
+  return message.notifications
+    .filter(n => !n.sobject || n.sobject === 'Lead')
+    .map(n => ({ leadId: n.fields.Id || null, status: n.fields.Status ?? null }))
+    .filter(c => c.leadId);
+}
+
+// [{ leadId, status }] from JSON notifications: a Change Data Capture event
+// (ChangeEventHeader with recordIds), a Platform Event carrying LeadId__c /
+// Status__c, or a plain { leadId, status }. Accepts one notification, an
+// array, or { events: [...] }; the CometD-style { data: { payload } } wrapper
+// is unwrapped.
+export function leadChangesFromJson(body) {
+  const list = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+  const changes = [];
+  for (const item of list) {
+    const p = item?.data?.payload || item?.payload || item || {};
+    const header = p.ChangeEventHeader;
+    const status = p.Status ?? p.Status__c ?? p.LeadStatus__c ?? p.status ?? null;
+    if (header) {
+      if (header.entityName && header.entityName !== 'Lead') continue;
+      for (const leadId of header.recordIds || []) changes.push({ leadId, status });
+      continue;
+    }
+    const leadId = p.LeadId__c || p.Lead_Id__c || p.leadId || p.Id || null;
+    if (leadId) changes.push({ leadId, status });
+  }
+  return changes;
+}
+
+// ---- Cancelling ----
+
+// Scheduled event URIs booked for `leadId`: from the ledger, plus Salesforce
+// Events carrying the Calendly URI when Event activity is on. Bookings the
+// ledger already knows as cancelled are left out.
+export async function leadEventUris(leadId, { ledger, sf = null, activity = activityConfig() }) {
+  const uris = new Map();
+  for (const entry of await ledger.byRecord(leadId)) {
+    if (entry.fingerprint?.canceled) continue;
+    const uri = entry.fingerprint?.eventUri || eventUriOfInvitee(entry.inviteeUri);
+    if (uri) uris.set(uri, entry.inviteeUri);
+  }
+  if (sf && activity.enabled) {
+    const field = activity.externalIdField;
+    const q = await sf.query(`SELECT Id, ${field} FROM Event WHERE WhoId = ${soqlString(leadId)}`);
+    for (const r of q.records) if (r[field] && !uris.has(r[field])) uris.set(r[field], null);
+  }
+  return [...uris].map(([eventUri, inviteeUri]) => ({ eventUri, inviteeUri }));
+}
+
+// Cancels each still-upcoming event. Returns one result per event:
+// { eventUri, inviteeUri, status, error? } with status 'canceled',
+// 'already_canceled', 'past' or 'error'. With `dryRun` nothing is cancelled
+// and 'canceled' means it would have been.
+export async function cancelLeadBookings({ leadId, status }, { token, ledger, sf = null, activity, config = reverseConfig(), dryRun = false, now = Date.now() }) {
+  const reason = cancellationReason(status, config);
+  const results = [];
+  for (const { eventUri, inviteeUri } of await leadEventUris(leadId, { ledger, sf, activity })) {
+    try {
+      const event = (await calendlyGet(eventUri, token))?.resource;
+      if (!event || event.status === 'canceled') {
+        results.push({ eventUri, inviteeUri, status: 'already_canceled' });
+        continue;
+      }
+      if (Date.parse(event.start_time) <= now) {
+        results.push({ eventUri, inviteeUri, status: 'past' });
+        continue;
+      }
+      if (!dryRun) await calendlyRequest('POST', `${eventUri}/cancellation`, { reason }, token);
+      results.push({ eventUri, inviteeUri, status: 'canceled' });
+    } catch (err) {
+      // A deleted event is as good as cancelled.
+      if (err.status === 404) results.push({ eventUri, inviteeUri, status: 'already_canceled' });
+      else results.push({ eventUri, inviteeUri, status: 'error', error: err.message, errorCode: err.errorCode || null });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,242 @@
+// /lib/routing.js
+// Routing rules: which Calendly organizations the bridge serves, which
+// Salesforce org each one writes to, and per event type / host / UTM tags
+// which mapping, match objects and record type apply (or whether the booking
+// is ignored altogether).
+//
+// Read from SYNC_ROUTES_JSON (inline JSON) or SYNC_ROUTES_FILE (path). Without
+// either, the bridge has one org from the plain env vars and syncs every event
+// type with the default mapping, as before.
+//
+//   {
+//     "orgs": {
+//       "uk": {
+//         "organizationUri": "https://api.calendly.com/organizations/UK",
+//         "calendlyTokenEnv": "CALENDLY_PAT_UK",
+//         "signingKeyEnv": "CALENDLY_WEBHOOK_SIGNING_KEY_UK",
+//         "salesforceEnvPrefix": "SF_UK_",
+//         "surveyEventType": "https://api.calendly.com/event_types/UK-SURVEY"
+//       }
+//     },
+//     "routes": [
+//       { "name": "sales-calls", "match": { "eventType": "sales-call" }, "ignore": true },
+//       { "name": "surveys", "match": { "eventType": ["home-survey", "Home Survey"] },
+//         "mappingFile": "config/survey-mapping.json", "objects": ["Lead", "Contact"],
+//         "createLeads": true, "recordTypeId": "012000000000001" },
+//       { "name": "uk-partners", "org": "uk", "match": { "utm": { "utm_source": "partner" } } }
+//     ],
+//     "unmatched": "sync"
+//   }
+//
+// The "default" org always exists and is built from CALENDLY_PAT,
+// CALENDLY_ORGANIZATION_URI, CALENDLY_WEBHOOK_SIGNING_KEY and the SF_* vars;
+// other orgs name the env vars holding their secrets, and
+// `salesforceEnvPrefix` swaps the SF_ prefix (SF_UK_CLIENT_ID, ...).
+// `surveyEventType` is the event type booking links are made for (the default
+// org's is CALENDLY_SURVEY_EVENT_TYPE; see lib/links.js).
+//
+// Routes are tried in order and the first match wins. Within `match` every
+// given criterion must hold; a list matches any of its values. `eventType`
+// compares the event type URI, its slug or its name; `host` a host's email or
+// user URI; `utm` the invitee's tracking values (case-insensitive). A route
+// with `org` only applies to that org's bookings; `objects` takes the names
+// SYNC_MATCH_OBJECTS does (lib/matching.js). `unmatched` is "sync" (use
+// the default mapping) or "ignore".
+
+import fs from 'node:fs';
+import { calendlyGet } from './calendly.js';
+import { sfConfig } from './salesforce.js';
+import { loadMapping, parseMapping, MappingError } from './mapping.js';
+import { matchConfig, MATCH_OBJECTS } from './matching.js';
+
+export const DEFAULT_ORG = 'default';
+
+const list = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const lower = (v) => String(v ?? '').trim().toLowerCase();
+
+export function parseRouting(input) {
+  const r = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!r || typeof r !== 'object') throw new MappingError('Routing must be an object');
+  const problems = [];
+
+  const orgs = {};
+  for (const [id, o] of Object.entries(r.orgs || {})) {
+    if (id === DEFAULT_ORG) { problems.push('orgs.default is built from the env and cannot be configured'); continue; }
+    if (!o?.organizationUri) problems.push(`orgs.${id} is missing "organizationUri"`);
+    if (!o?.calendlyTokenEnv) problems.push(`orgs.${id} is missing "calendlyTokenEnv"`);
+    orgs[id] = { ...o };
+  }
+
+  const routes = list(r.routes).map((route, i) => {
+    const name = route?.name || `route-${i + 1}`;
+    if (route?.org && route.org !== DEFAULT_ORG && !orgs[route.org]) problems.push(`routes[${i}] refers to unknown org "${route.org}"`);
+    if (route?.mapping && route?.mappingFile) problems.push(`routes[${i}] has both "mapping" and "mappingFile"`);
+    const objects = route?.objects ? list(route.objects).flatMap(o => String(o).split(',')).map(s => s.trim()).filter(Boolean) : null;
+    const unknown = (objects || []).filter(o => !MATCH_OBJECTS.includes(o));
+    if (unknown.length) problems.push(`routes[${i}] has unknown "objects" entries: ${unknown.join(', ')} (use ${MATCH_OBJECTS.join(', ')})`);
+    return {
+      name,
+      org: route?.org || null,
+      match: route?.match || {},
+      ignore: route?.ignore === true,
+      mapping: route?.mapping || null,
+      mappingFile: route?.mappingFile || null,
+      objects,
+      createLeads: typeof route?.createLeads === 'boolean' ? route.createLeads : null,
+      recordTypeId: route?.recordTypeId || null
+    };
+  });
+
+  const unmatched = r.unmatched || 'sync';
+  if (!['sync', 'ignore'].includes(unmatched)) problems.push('"unmatched" must be "sync" or "ignore"');
+  if (problems.length) throw new MappingError('Invalid routing', problems);
+  return { orgs, routes, unmatched };
+}
+
+let cachedRouting = null;
+
+export function loadRouting({ reload = false } = {}) {
+  if (cachedRouting && !reload) return cachedRouting;
+  if (process.env.SYNC_ROUTES_JSON) cachedRouting = parseRouting(process.env.SYNC_ROUTES_JSON);
+  else if (process.env.SYNC_ROUTES_FILE) cachedRouting = parseRouting(fs.readFileSync(process.env.SYNC_ROUTES_FILE, 'utf8'));
+  else cachedRouting = parseRouting({});
+  return cachedRouting;
+}
+
+// ---- Orgs ----
+
+// Env view in which `prefix` vars appear under their SF_ names.
+function salesforceEnv(prefix) {
+  if (!prefix || prefix === 'SF_') return process.env;
+  const env = {};
+  for (const [k, v] of Object.entries(process.env)) {
+    if (k.startsWith(prefix)) env[`SF_${k.slice(prefix.length)}`] = v;
+  }
+  return env;
+}
+
+const envValue = (name) => (name ? (process.env[name] || '').trim() || null : null);
+
+// { id, calendlyToken, organizationUri, signingKey, surveyEventType, sf } for
+// one org. The token may be null; callers that need it report the missing
+// variable.
+export function orgContext(id = DEFAULT_ORG, routing = loadRouting()) {
+  if (id === DEFAULT_ORG) {
+    return {
+      id,
+      calendlyToken: envValue('CALENDLY_PAT'),
+      calendlyTokenEnv: 'CALENDLY_PAT',
+      organizationUri: process.env.CALENDLY_ORGANIZATION_URI || null,
+      signingKey: envValue('CALENDLY_WEBHOOK_SIGNING_KEY'),
+      surveyEventType: envValue('CALENDLY_SURVEY_EVENT_TYPE'),
+      sf: sfConfig()
+    };
+  }
+  const o = routing.orgs[id];
+  if (!o) throw Object.assign(new Error(`Unknown org "${id}"`), { status: 400 });
+  return {
+    id,
+    calendlyToken: envValue(o.calendlyTokenEnv),
+    calendlyTokenEnv: o.calendlyTokenEnv,
+    organizationUri: o.organizationUri,
+    signingKey: envValue(o.signingKeyEnv),
+    surveyEventType: o.surveyEventType || null,
+    sf: sfConfig(salesforceEnv(o.salesforceEnvPrefix))
+  };
+}
+
+export function orgToken(org) {
+  if (!org.calendlyToken) throw new Error(`Missing ${org.calendlyTokenEnv} env var`);
+  return org.calendlyToken;
+}
+
+// The default org only takes part when it is configured, unless it is the
+// only one.
+export function orgContexts(routing = loadRouting()) {
+  const ids = Object.keys(routing.orgs);
+  const all = [DEFAULT_ORG, ...ids].map(id => orgContext(id, routing));
+  return ids.length ? all.filter(o => o.id !== DEFAULT_ORG || o.calendlyToken || o.organizationUri) : all;
+}
+
+// ---- Routes ----
+
+const slugCache = new Map();
+
+async function eventTypeSlug(uri, token) {
+  if (!uri) return null;
+  if (!slugCache.has(uri)) {
+    // A deleted event type has no slug; other failures propagate so the
+    // booking is retried, and only answers stay cached.
+    const lookup = calendlyGet(uri, token)
+      .then(r => r?.resource?.slug || null)
+      .catch(err => { if (err.status === 404) return null; throw err; });
+    slugCache.set(uri, lookup);
+    lookup.catch(() => slugCache.delete(uri));
+  }
+  return slugCache.get(uri);
+}
+
+async function eventTypeMatches(wanted, event, token) {
+  const values = list(wanted).map(lower);
+  if (!values.length) return true;
+  if (values.includes(lower(event?.event_type)) || values.includes(lower(event?.name))) return true;
+  // Only look the slug up when a value could be one.
+  if (!values.some(v => !v.startsWith('http'))) return false;
+  return values.includes(lower(await eventTypeSlug(event?.event_type, token)));
+}
+
+function hostMatches(wanted, event) {
+  const values = list(wanted).map(lower);
+  if (!values.length) return true;
+  return (event?.event_memberships || []).some(m => values.includes(lower(m.user_email)) || values.includes(lower(m.user)));
+}
+
+function utmMatches(wanted, invitee) {
+  const tracking = invitee?.tracking || {};
+  return Object.entries(wanted || {}).every(([k, v]) => list(v).map(lower).includes(lower(tracking[k])));
+}
+
+const mappingCache = new Map();
+
+function routeMapping(route) {
+  if (!route.mapping && !route.mappingFile) return loadMapping();
+  if (!mappingCache.has(route.name)) {
+    mappingCache.set(route.name, parseMapping(route.mapping || fs.readFileSync(route.mappingFile, 'utf8')));
+  }
+  return mappingCache.get(route.name);
+}
+
+function resolved(route, { ignore = false } = {}) {
+  const base = matchConfig();
+  return {
+    name: route?.name || 'default',
+    ignore: ignore || !!route?.ignore,
+    mapping: ignore || route?.ignore ? null : routeMapping(route || {}),
+    matching: {
+      objects: route?.objects || base.objects,
+      createLeads: route?.createLeads ?? base.createLeads
+    },
+    recordTypeId: route?.recordTypeId || null
+  };
+}
+
+// Every route a booking of org `orgId` can end up on, ignored ones left out,
+// plus the default one when unmatched bookings sync.
+export function orgRoutes(orgId = DEFAULT_ORG, routing = loadRouting()) {
+  const routes = routing.routes.filter(r => !r.ignore && (!r.org || r.org === orgId)).map(r => resolved(r));
+  if (routing.unmatched !== 'ignore') routes.push(resolved(null));
+  return routes;
+}
+
+// Picks the route for one booking of org `orgId`. Returns { name, ignore,
+// mapping, matching, recordTypeId }.
+export async function resolveRoute({ orgId = DEFAULT_ORG, invitee, event, token }, routing = loadRouting()) {
+  for (const route of routing.routes) {
+    if (route.org && route.org !== orgId) continue;
+    const { eventType, host, utm } = route.match;
+    if (!hostMatches(host, event) || !utmMatches(utm, invitee)) continue;
+    if (!(await eventTypeMatches(eventType, event, token))) continue;
+    return resolved(route);
+  }
+  return routing.unmatched === 'ignore' ? resolved({ name: 'unmatched' }, { ignore: true }) : resolved(null);
+}
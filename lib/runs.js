@@ -0,0 +1,135 @@
+// /lib/runs.js
+// Run history: one record per cron run and per webhook delivery, with its
+// counts, errors and per-invitee outcomes, so "why didn't this lead update?"
+// can be answered from /api/sync-runs instead of the logs.
+//
+// SYNC_RUNS_KEEP   how many runs to keep (default 200); the cron prunes the
+//                  oldest once per run, so webhook deliveries never pay for
+//                  reading the whole history
+//
+// Invitee emails are stored as the logger's hash, never in clear. Field diffs
+// hash any email they contain and keep only whether person fields (names,
+// emails, phones, addresses) changed, not their values.
+
+import { createStore } from './store.js';
+import { hashEmail, redact, errorFields } from './logger.js';
+import { paymentSummary } from './payment.js';
+
+const DEFAULT_KEEP = 200;
+const MAX_ITEMS = 500;
+
+export function runsConfig(env = process.env) {
+  const keep = Number(env.SYNC_RUNS_KEEP);
+  return { keep: Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_KEEP };
+}
+
+// Matched against the field name without its __c suffix and underscores:
+// Email, PersonEmail, MobilePhone, FirstName, Invitee_Name__c, ...
+const PERSONAL_FIELD_RE = /(email|phone|fax|name|street|address|city|postalcode)$/i;
+
+// Also applied to the diffs the sync endpoints answer with, since their
+// responses end up in CI logs.
+export function privateDiff(diff) {
+  const out = {};
+  for (const [field, change] of Object.entries(diff || {})) {
+    const personal = PERSONAL_FIELD_RE.test(field.replace(/__c$/i, '').replace(/_/g, ''));
+    out[field] = personal
+      ? Object.fromEntries(Object.entries(change).map(([k, v]) => [k, v == null ? v : '[redacted]']))
+      : redact(change, { keepPii: false });
+  }
+  return out;
+}
+
+// One per-invitee line of a run, from a sync result (lib/sync.js) or a
+// failure before one was produced.
+export function runItem({ inviteeUri, email = null, result = null, error = null, reason = null }) {
+  return {
+    invitee: inviteeUri || null,
+    emailHash: email ? hashEmail(email) : null,
+    status: result?.status || (error ? 'error' : null),
+    outcome: result?.outcome || null,
+    action: result?.action || null,
+    sobject: result?.sobject || null,
+    recordId: result?.recordId || null,
+    changes: result?.changes || {},
+    diff: privateDiff(result?.diff),
+    activity: result?.activity?.status || null,
+    payment: result?.attrs ? paymentSummary(result.attrs) : null,
+    warnings: result?.warnings || [],
+    reason,
+    error: error ? String(error.message || error) : result?.error || null,
+    errorCode: error?.errorCode || result?.errorCode || null
+  };
+}
+
+function summaryOf(run) {
+  const { items, ...summary } = run;
+  return { ...summary, itemCount: items.length };
+}
+
+export function createRunHistory(store = createStore('runs'), config = runsConfig()) {
+  return {
+    // type: 'cron' | 'webhook' | 'reverse'. Returns the stored run.
+    async record({ id, type, startedAt, ok, dryRun = false, httpStatus = null, message = null, counts = {}, error = null, items = [], meta = {} }) {
+      const finishedAt = new Date().toISOString();
+      const run = {
+        id,
+        type,
+        startedAt,
+        finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+        ok: !!ok,
+        dryRun,
+        httpStatus,
+        message,
+        counts,
+        error,
+        meta,
+        truncated: items.length > MAX_ITEMS,
+        items: items.slice(0, MAX_ITEMS)
+      };
+      await store.set(id, run);
+      return run;
+    },
+
+    // Drops the oldest runs beyond `keep`. Returns how many went.
+    async prune() {
+      const all = await store.entries();
+      if (all.length <= config.keep) return 0;
+      const oldest = all.sort(([, a], [, b]) => String(a.startedAt).localeCompare(String(b.startedAt)));
+      const drop = oldest.slice(0, all.length - config.keep);
+      for (const [key] of drop) await store.delete(key);
+      return drop.length;
+    },
+
+    async get(id) {
+      return store.get(id);
+    },
+
+    // Newest first, without per-invitee items. `invitee` / `email` keep only
+    // runs that touched that booker.
+    async list({ type = null, limit = 20, invitee = null, email = null } = {}) {
+      const emailHash = email ? hashEmail(email) : null;
+      return (await store.entries())
+        .map(([, run]) => run)
+        .filter(run => !type || run.type === type)
+        .filter(run => !invitee || run.items.some(i => i.invitee === invitee))
+        .filter(run => !emailHash || run.items.some(i => i.emailHash === emailHash))
+        .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+        .slice(0, limit)
+        .map(summaryOf);
+    }
+  };
+}
+
+// Records a run (and prunes, when asked) without ever failing the request it
+// belongs to; a history that can't be written is only logged.
+export async function recordRun(log, run, { prune = false } = {}) {
+  try {
+    const history = createRunHistory();
+    await history.record(run);
+    if (prune) await history.prune();
+  } catch (err) {
+    log.warn('runs.record_failed', errorFields(err));
+  }
+}
@@ -0,0 +1,286 @@
+// /lib/salesforce.js
+// Shared Salesforce REST client. Supports the client_credentials, password and
+// JWT bearer OAuth flows, caches the access token across warm invocations and
+// re-authenticates once when Salesforce reports INVALID_SESSION_ID.
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_API_VERSION = 'v62.0';
+const DEFAULT_TOKEN_TTL_SEC = 1800;
+
+export class SalesforceError extends Error {
+  constructor(message, { status = null, errorCode = null, body = null } = {}) {
+    super(message);
+    this.name = 'SalesforceError';
+    this.status = status;
+    this.errorCode = errorCode;
+    this.body = body;
+  }
+}
+
+export function sfConfig(env = process.env) {
+  const loginUrl = (env.SF_LOGIN_URL || env.SF_INSTANCE_URL || 'https://login.salesforce.com').replace(/\/+$/, '');
+  return {
+    flow: (env.SF_AUTH_FLOW || 'client_credentials').toLowerCase(),
+    loginUrl,
+    instanceUrl: env.SF_INSTANCE_URL ? env.SF_INSTANCE_URL.replace(/\/+$/, '') : null,
+    apiVersion: env.SF_API_VERSION || DEFAULT_API_VERSION,
+    clientId: env.SF_CLIENT_ID,
+    clientSecret: env.SF_CLIENT_SECRET,
+    username: env.SF_USERNAME,
+    password: env.SF_PASSWORD,
+    securityToken: env.SF_SECURITY_TOKEN,
+    audience: env.SF_AUDIENCE,
+    privateKey: env.SF_JWT_PRIVATE_KEY,
+    tokenTtlSec: Number(env.SF_TOKEN_TTL_SEC) || DEFAULT_TOKEN_TTL_SEC
+  };
+}
+
+// ---- OAuth ----
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Accepts a PEM (with literal "\n" sequences, as env vars usually store it) or base64 of one.
+function pemFrom(value) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (v.includes('-----BEGIN')) return v.replace(/\\n/g, '\n');
+  return Buffer.from(v, 'base64').toString('utf8');
+}
+
+export function jwtAssertion(config, now = Date.now()) {
+  const key = pemFrom(config.privateKey);
+  if (!key) throw new Error('Missing SF_JWT_PRIVATE_KEY');
+  if (!config.clientId || !config.username) throw new Error('Missing SF_CLIENT_ID or SF_USERNAME');
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: config.clientId,
+    sub: config.username,
+    aud: config.audience || config.loginUrl,
+    exp: Math.floor(now / 1000) + 180
+  }));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${claims}`), key);
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+function tokenRequestBody(config) {
+  switch (config.flow) {
+    case 'password':
+      if (!config.username || !config.password) throw new Error('Missing SF_USERNAME or SF_PASSWORD');
+      return new URLSearchParams({
+        grant_type: 'password',
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        username: config.username,
+        password: (config.password || '') + (config.securityToken || '')
+      });
+    case 'jwt':
+    case 'jwt_bearer':
+      return new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: jwtAssertion(config)
+      });
+    case 'client_credentials':
+      return new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        ...(config.audience ? { audience: config.audience } : {})
+      });
+    default:
+      throw new Error(`Unsupported SF_AUTH_FLOW: ${config.flow}`);
+  }
+}
+
+export async function requestToken(config) {
+  if (!config.clientId || (config.flow !== 'jwt' && config.flow !== 'jwt_bearer' && !config.clientSecret)) {
+    throw new Error('Missing Salesforce credentials (SF_CLIENT_ID / SF_CLIENT_SECRET)');
+  }
+  const r = await fetch(`${config.loginUrl}/services/oauth2/token`, { method: 'POST', body: tokenRequestBody(config) });
+  const text = await r.text().catch(() => '');
+  if (!r.ok) {
+    let errorCode = null;
+    try { errorCode = JSON.parse(text).error || null; } catch {}
+    throw new SalesforceError(`SF token (${config.flow}) ${r.status}`, { status: r.status, errorCode, body: text.slice(0, 500) });
+  }
+  const tok = JSON.parse(text);
+  if (!tok.access_token) throw new SalesforceError('Missing Salesforce access_token');
+  const instanceUrl = tok.instance_url || config.instanceUrl;
+  if (!instanceUrl) throw new SalesforceError('Missing Salesforce instance_url (set SF_INSTANCE_URL)');
+  const ttl = Number(tok.expires_in) || config.tokenTtlSec;
+  return {
+    accessToken: tok.access_token,
+    instanceUrl: instanceUrl.replace(/\/+$/, ''),
+    tokenType: tok.token_type || 'Bearer',
+    scope: tok.scope || null,
+    expiresAt: Date.now() + ttl * 1000
+  };
+}
+
+// Module scope survives between invocations on a warm Vercel instance.
+const tokenCache = new Map();
+
+function cacheKey(config) {
+  return [config.flow, config.loginUrl, config.clientId, config.username || ''].join('|');
+}
+
+export function clearTokenCache() {
+  tokenCache.clear();
+}
+
+export async function getToken(config, { force = false } = {}) {
+  const key = cacheKey(config);
+  const cached = tokenCache.get(key);
+  if (!force && cached && cached.expiresAt - 60_000 > Date.now()) return cached;
+  const fresh = await requestToken(config);
+  tokenCache.set(key, fresh);
+  return fresh;
+}
+
+// ---- REST ----
+
+async function errorFrom(r, method, path) {
+  const text = await r.text().catch(() => '');
+  let errorCode = null;
+  let detail = '';
+  try {
+    const parsed = JSON.parse(text);
+    const first = Array.isArray(parsed) ? parsed[0] : parsed;
+    errorCode = first?.errorCode || first?.error || null;
+    detail = first?.message || first?.error_description || '';
+  } catch {}
+  return new SalesforceError(`SF ${method} ${path} error ${r.status}${detail ? `: ${detail}` : ''}`, {
+    status: r.status,
+    errorCode,
+    body: text.slice(0, 500)
+  });
+}
+
+export const COLLECTION_LIMIT = 200;
+
+export function soqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// DELETE takes record Ids on the query string; POST/PATCH take record bodies.
+async function collection(request, method, records, allOrNone) {
+  const out = [];
+  for (let i = 0; i < records.length; i += COLLECTION_LIMIT) {
+    const part = records.slice(i, i + COLLECTION_LIMIT);
+    try {
+      const res = method === 'DELETE'
+        ? await request('DELETE', `/composite/sobjects?ids=${part.map(rec => encodeURIComponent(rec.Id)).join(',')}&allOrNone=${allOrNone}`)
+        : await request(method, '/composite/sobjects', { allOrNone, records: part });
+      part.forEach((rec, j) => {
+        const r = res?.[j] || {};
+        out.push({ id: r.id || rec.Id || null, success: !!r.success, errors: r.errors || [] });
+      });
+    } catch (err) {
+      for (const rec of part) {
+        out.push({
+          id: rec.Id || null,
+          success: false,
+          errors: [{ statusCode: err.errorCode || String(err.status || 'ERROR'), message: err.message, fields: [] }]
+        });
+      }
+    }
+  }
+  return out;
+}
+
+export function createSalesforceClient(config = sfConfig()) {
+  const dataBase = `/services/data/${config.apiVersion}`;
+  const toPath = (path) => (path.startsWith('/services/') ? path : `${dataBase}${path.startsWith('/') ? '' : '/'}${path}`);
+
+  async function request(method, path, body, { retried = false } = {}) {
+    const tok = await getToken(config, { force: retried });
+    const url = `${tok.instanceUrl}${toPath(path)}`;
+    const headers = { Authorization: `Bearer ${tok.accessToken}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const r = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    if (r.status === 401 && !retried) {
+      const err = await errorFrom(r, method, path);
+      if (!err.errorCode || err.errorCode === 'INVALID_SESSION_ID') {
+        return request(method, path, body, { retried: true });
+      }
+      throw err;
+    }
+    if (!r.ok) throw await errorFrom(r, method, path);
+    if (r.status === 204) return null;
+    const text = await r.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  async function paginate(first) {
+    const records = [...(first?.records || [])];
+    let page = first;
+    while (page && !page.done && page.nextRecordsUrl) {
+      page = await request('GET', page.nextRecordsUrl);
+      records.push(...(page?.records || []));
+    }
+    return { totalSize: first?.totalSize ?? records.length, records };
+  }
+
+  return {
+    config,
+    request,
+
+    async authenticate() {
+      return getToken(config);
+    },
+
+    // Follows nextRecordsUrl until every page has been read.
+    async query(soql) {
+      return paginate(await request('GET', `/query?q=${encodeURIComponent(soql)}`));
+    },
+
+    // Same as query() but includes deleted and archived records.
+    async queryAll(soql) {
+      return paginate(await request('GET', `/queryAll?q=${encodeURIComponent(soql)}`));
+    },
+
+    async update(sobject, id, fields) {
+      await request('PATCH', `/sobjects/${sobject}/${encodeURIComponent(id)}`, fields);
+      return { id, success: true };
+    },
+
+    async create(sobject, fields) {
+      const out = await request('POST', `/sobjects/${sobject}`, fields);
+      return { id: out?.id || null, success: !!out?.success };
+    },
+
+    async upsert(sobject, externalIdField, externalId, fields) {
+      const out = await request('PATCH', `/sobjects/${sobject}/${externalIdField}/${encodeURIComponent(externalId)}`, fields);
+      return { id: out?.id || null, created: !!out?.created, success: true };
+    },
+
+    async describe(sobject) {
+      return request('GET', `/sobjects/${sobject}/describe`);
+    },
+
+    // sObject Collections. Each record carries { attributes: { type } }; the
+    // result array lines up with `records`. Chunks of 200 are sent one after
+    // another, and a chunk whose whole request fails reports that error on
+    // each of its records rather than aborting the rest.
+    async updateMany(records, { allOrNone = false } = {}) {
+      return collection(request, 'PATCH', records, allOrNone);
+    },
+
+    async createMany(records, { allOrNone = false } = {}) {
+      return collection(request, 'POST', records, allOrNone);
+    },
+
+    async deleteMany(ids, { allOrNone = false } = {}) {
+      return collection(request, 'DELETE', ids.map(Id => ({ Id })), allOrNone);
+    },
+
+    // compositeRequest entries: { method, url, referenceId, body }.
+    async composite(compositeRequest, { allOrNone = false } = {}) {
+      const out = await request('POST', '/composite', { allOrNone, compositeRequest });
+      return out?.compositeResponse || [];
+    }
+  };
+}
@@ -0,0 +1,148 @@
+// /lib/store.js
+// Pluggable key/value store for state that has to outlive one invocation
+// (retry queue, sync cursor, ledger, run history).
+//
+// SYNC_STORE      memory | file | sqlite | kv  (default: kv when KV_REST_API_URL
+//                 is set, otherwise file; on Vercel there is no default, since
+//                 /tmp is per instance and the hook and cron would not share a
+//                 queue, so KV must be configured or SYNC_STORE set explicitly)
+// SYNC_STORE_DIR  directory for the file and sqlite backends (default .data,
+//                 or /tmp/rendesco-bridge on Vercel where only /tmp is writable)
+// KV_REST_API_URL / KV_REST_API_TOKEN   Vercel KV / Upstash REST credentials
+// SYNC_STORE_PREFIX  key prefix for the kv backend (default rendesco-bridge)
+//
+// Every backend exposes the same async API per namespace:
+//   get(key), set(key, value), delete(key), entries() -> [[key, value], ...]
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+function storeDir() {
+  return process.env.SYNC_STORE_DIR || (process.env.VERCEL ? '/tmp/rendesco-bridge' : '.data');
+}
+
+// ---- memory ----
+
+const memory = new Map();
+
+function memoryStore(namespace) {
+  if (!memory.has(namespace)) memory.set(namespace, new Map());
+  const m = memory.get(namespace);
+  const clone = (v) => (v === undefined ? null : JSON.parse(JSON.stringify(v)));
+  return {
+    async get(key) { return clone(m.get(key)); },
+    async set(key, value) { m.set(key, clone(value)); },
+    async delete(key) { m.delete(key); },
+    async entries() { return [...m.entries()].map(([k, v]) => [k, clone(v)]); }
+  };
+}
+
+// ---- file: one JSON document per namespace ----
+
+function fileStore(namespace) {
+  const file = path.join(storeDir(), `${namespace.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    async get(key) { return (await read())[key] ?? null; },
+    async set(key, value) { const d = await read(); d[key] = value; await write(d); },
+    async delete(key) { const d = await read(); if (key in d) { delete d[key]; await write(d); } },
+    async entries() { return Object.entries(await read()); }
+  };
+}
+
+// ---- sqlite (node:sqlite, Node 22+) ----
+
+let sqliteDb = null;
+
+async function sqlite() {
+  if (sqliteDb) return sqliteDb;
+  const { DatabaseSync } = await import('node:sqlite');
+  await fs.mkdir(storeDir(), { recursive: true });
+  sqliteDb = new DatabaseSync(path.join(storeDir(), 'bridge.sqlite'));
+  sqliteDb.exec('CREATE TABLE IF NOT EXISTS kv (ns TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (ns, key))');
+  return sqliteDb;
+}
+
+function sqliteStore(namespace) {
+  return {
+    async get(key) {
+      const row = (await sqlite()).prepare('SELECT value FROM kv WHERE ns = ? AND key = ?').get(namespace, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    async set(key, value) {
+      (await sqlite()).prepare('INSERT INTO kv (ns, key, value) VALUES (?, ?, ?) ON CONFLICT(ns, key) DO UPDATE SET value = excluded.value')
+        .run(namespace, key, JSON.stringify(value));
+    },
+    async delete(key) {
+      (await sqlite()).prepare('DELETE FROM kv WHERE ns = ? AND key = ?').run(namespace, key);
+    },
+    async entries() {
+      return (await sqlite()).prepare('SELECT key, value FROM kv WHERE ns = ? ORDER BY key').all(namespace)
+        .map(r => [r.key, JSON.parse(r.value)]);
+    }
+  };
+}
+
+// ---- kv: Upstash / Vercel KV REST API, one hash per namespace ----
+
+async function kvCommand(...command) {
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  if (!url || !token) throw new Error('Missing KV_REST_API_URL or KV_REST_API_TOKEN');
+  const r = await fetch(url.replace(/\/+$/, ''), {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(command)
+  });
+  const out = await r.json().catch(() => ({}));
+  if (!r.ok || out.error) throw new Error(`KV ${command[0]} error ${r.status}${out.error ? `: ${out.error}` : ''}`);
+  return out.result;
+}
+
+function kvStore(namespace) {
+  const hash = `${process.env.SYNC_STORE_PREFIX || 'rendesco-bridge'}:${namespace}`;
+  return {
+    async get(key) {
+      const v = await kvCommand('HGET', hash, key);
+      return v == null ? null : JSON.parse(v);
+    },
+    async set(key, value) { await kvCommand('HSET', hash, key, JSON.stringify(value)); },
+    async delete(key) { await kvCommand('HDEL', hash, key); },
+    async entries() {
+      const flat = (await kvCommand('HGETALL', hash)) || [];
+      const out = [];
+      for (let i = 0; i < flat.length; i += 2) out.push([flat[i], JSON.parse(flat[i + 1])]);
+      return out;
+    }
+  };
+}
+
+const BACKENDS = { memory: memoryStore, file: fileStore, sqlite: sqliteStore, kv: kvStore };
+
+export function storeBackend(env = process.env) {
+  if (!env.SYNC_STORE && !env.KV_REST_API_URL && env.VERCEL) {
+    throw new Error('No shared store configured: set KV_REST_API_URL and KV_REST_API_TOKEN (or SYNC_STORE)');
+  }
+  const name = (env.SYNC_STORE || (env.KV_REST_API_URL ? 'kv' : 'file')).toLowerCase();
+  if (!BACKENDS[name]) throw new Error(`Unknown SYNC_STORE: ${name}`);
+  return name;
+}
+
+export function createStore(namespace, backend = storeBackend()) {
+  return BACKENDS[backend](namespace);
+}
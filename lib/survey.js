@@ -0,0 +1,54 @@
+// /lib/survey.js
+// Works out what a Calendly invitee means for the Lead's survey fields:
+// a new booking, a reschedule (follow new_invitee to the replacement booking)
+// or a genuine cancellation.
+
+import { calendlyGet } from './calendly.js';
+
+const MAX_RESCHEDULE_HOPS = 5;
+
+export function isRescheduled(invitee) {
+  return !!(invitee?.rescheduled && invitee?.new_invitee);
+}
+
+export function isCanceled(invitee, event) {
+  return invitee?.status === 'canceled' || event?.status === 'canceled';
+}
+
+export function cancellationOf(invitee, event) {
+  const c = invitee?.cancellation || event?.cancellation || {};
+  return {
+    reason: c.reason || null,
+    canceledBy: c.canceled_by || null,
+    cancelerType: c.canceler_type || null,
+    canceledAt: c.created_at || null
+  };
+}
+
+// Follows new_invitee links until we reach the booking that is still live.
+// Each hop is an invitee resource; its `event` field points at the scheduled event.
+export async function resolveReschedule(invitee, token) {
+  let current = invitee;
+  for (let hop = 0; hop < MAX_RESCHEDULE_HOPS && isRescheduled(current); hop++) {
+    const next = await calendlyGet(current.new_invitee, token);
+    current = next?.resource || null;
+    if (!current) throw new Error('Calendly returned no resource for rescheduled invitee');
+  }
+  if (isRescheduled(current)) throw new Error('Too many reschedule hops');
+  const evt = await calendlyGet(current.event, token);
+  return { invitee: current, event: evt?.resource || null };
+}
+
+// Returns { action, invitee, event } where action is 'schedule', 'reschedule'
+// or 'cancel'. For reschedules invitee/event are the replacement booking.
+export async function planInvitee({ invitee, event }, token) {
+  if (isRescheduled(invitee)) {
+    const next = await resolveReschedule(invitee, token);
+    if (isCanceled(next.invitee, next.event)) {
+      return { action: 'cancel', invitee: next.invitee, event: next.event };
+    }
+    return { action: 'reschedule', invitee: next.invitee, event: next.event };
+  }
+  if (isCanceled(invitee, event)) return { action: 'cancel', invitee, event };
+  return { action: 'schedule', invitee, event };
+}
@@ -0,0 +1,277 @@
+// /lib/sync.js
+// Applies Calendly bookings to Salesforce. Shared by the webhook, the cron
+// sweep and the retry queue so they all make the same decisions.
+//
+// syncBookings() works on a batch: ledger check, one batched lookup per
+// object, Lead creation and field updates through sObject Collections (200
+// records per call), then the matching Salesforce Event (lib/activity.js).
+// syncBooking() is the single-booking form the webhook uses.
+
+import { calendlyGet, isScheduledEventUri } from './calendly.js';
+import { planInvitee } from './survey.js';
+import {
+  ensureMappingValid,
+  mappingFor,
+  bookingAttributes,
+  buildFields,
+  buildNewLeadFields,
+  isUpToDate,
+  fieldDiff,
+  MappingError
+} from './mapping.js';
+import { matchBookings, matchConfig, recordName, trackedRecord, OUTCOME_BY_SOBJECT } from './matching.js';
+import { fingerprintOf, diffFingerprint } from './ledger.js';
+import { SalesforceError } from './salesforce.js';
+import { syncActivities, activityConfig } from './activity.js';
+
+function collectionError(r) {
+  const e = r.errors?.[0] || {};
+  return { error: e.message || 'Salesforce rejected the record', errorCode: e.statusCode || null };
+}
+
+// bookings: [{ plan, email }]. Returns one result per booking, in order:
+// { status, outcome, action, sobject, recordId, recordName, fields, diff,
+//   warnings, changes, activity, error?, errorCode? }
+// where status is
+//   'unchanged'  ledger fingerprint matches; Salesforce not consulted
+//   'updated'    mapped fields written to the matched record
+//   'created'    a Lead was created for an unknown booker
+//   'skipped'    the record already holds the values
+//   'unmatched'  no record found (and none created)
+//   'error'      Salesforce rejected this record's write or its Event, or
+//                the mapping doesn't fit the matched object's fields
+// `changes` diffs the fingerprint against the last sync and `diff` the record's
+// fields before/after, `activity` what happened to the Salesforce Event
+// ({ status, eventId }). `recordTypeId` is set on created Leads (a routing
+// rule's record type). `links` (lib/links.js) tells which tracked Lead Ids
+// came from booking links we issued. With `dryRun` nothing is written to Salesforce or the
+// ledger; statuses describe what would have happened. Lookup failures throw.
+export async function syncBookings(sf, bookings, { mapping, matching = matchConfig(), ledger = null, links = null, activity = activityConfig(), recordTypeId = null, dryRun = false }) {
+  const results = new Array(bookings.length);
+  const work = [];
+
+  // ---- Ledger ----
+  for (const [i, b] of bookings.entries()) {
+    const attrs = bookingAttributes({ invitee: b.plan.invitee, event: b.plan.event });
+    const key = b.plan.invitee?.uri || null;
+    const fingerprint = fingerprintOf(b.plan, attrs);
+    const previous = ledger && key ? await ledger.get(key) : null;
+    const changes = diffFingerprint(previous?.fingerprint, fingerprint);
+    const base = {
+      action: b.plan.action,
+      changes,
+      attrs,
+      fields: {},
+      diff: {},
+      warnings: attrs.payment_mismatch ? [`payment: ${attrs.payment_mismatch}`] : [],
+      activity: { status: 'none', eventId: null }
+    };
+
+    if (previous && !Object.keys(changes).length) {
+      results[i] = {
+        ...base,
+        status: 'unchanged',
+        outcome: OUTCOME_BY_SOBJECT[previous.sobject] || 'matched_lead',
+        sobject: previous.sobject,
+        recordId: previous.recordId,
+        recordName: ''
+      };
+      continue;
+    }
+    work.push({ i, b, key, fingerprint, previous, base });
+  }
+
+  // ---- Match ----
+  // The record the ledger knows, then the one a booking link was made for
+  // (trusted without the email when `links` says we issued it), then email.
+  for (const w of work) {
+    w.tracked = trackedRecord(w.base.attrs, matching);
+    if (w.tracked && links && await links.issued(w.tracked.id)) w.tracked.requireEmail = false;
+  }
+  const matches = await matchBookings(sf, work.map(w => ({
+    email: w.b.email,
+    known: [w.previous?.recordId ? { sobject: w.previous.sobject, id: w.previous.recordId } : null, w.tracked]
+  })), { mapping, config: matching });
+  work.forEach((w, j) => { w.match = matches[j]; });
+
+  // Records as they will look after earlier bookings in this batch are
+  // applied, so a later booking for the same person diffs against that.
+  const state = new Map();
+  const current = (sobject, id, record) => {
+    const k = `${sobject}:${id}`;
+    if (!state.has(k)) state.set(k, { ...record });
+    return state.get(k);
+  };
+
+  // ---- Create Leads for unknown bookers ----
+  const creates = [];
+  const createdByEmail = new Map();
+  for (const w of work) {
+    if (w.match.outcome !== 'unmatched') continue;
+    const email = String(w.b.email || '').toLowerCase();
+    // Never invent a Lead for a booking that has already been cancelled.
+    if (!matching.createLeads || w.b.plan.action === 'cancel' || !email) continue;
+    if (createdByEmail.has(email)) { w.sameAs = createdByEmail.get(email); continue; }
+
+    const describeByField = await ensureMappingValid(sf, mapping, { sobject: 'Lead', includeNewLead: true });
+    const lead = buildNewLeadFields(mapping, w.base.attrs, describeByField);
+    const booking = buildFields(mappingFor(mapping, 'Lead'), w.base.attrs, w.b.plan.action, describeByField);
+    w.createFields = { ...lead.fields, ...booking.fields, ...(recordTypeId ? { RecordTypeId: recordTypeId } : {}) };
+    w.warnings = [...w.base.warnings, ...lead.warnings, ...booking.warnings];
+    createdByEmail.set(email, w);
+    creates.push(w);
+  }
+
+  if (creates.length) {
+    const out = dryRun
+      ? creates.map(() => ({ id: null, success: true, errors: [] }))
+      : await sf.createMany(creates.map(w => ({ attributes: { type: 'Lead' }, ...w.createFields })));
+    creates.forEach((w, j) => {
+      const r = out[j];
+      if (r.success) {
+        w.match = { outcome: 'created_lead', sobject: 'Lead', id: r.id, record: { Id: r.id, ...w.createFields } };
+        current('Lead', r.id || `new:${w.i}`, w.match.record);
+        results[w.i] = {
+          ...w.base,
+          status: 'created',
+          outcome: 'created_lead',
+          sobject: 'Lead',
+          recordId: r.id,
+          recordName: recordName(w.match.record),
+          fields: w.createFields,
+          diff: fieldDiff(null, w.createFields),
+          warnings: w.warnings
+        };
+      } else {
+        results[w.i] = { ...w.base, status: 'error', outcome: 'unmatched', sobject: 'Lead', recordId: null, recordName: '', ...collectionError(r) };
+      }
+    });
+  }
+
+  // Later bookings from the same unknown booker update the Lead just created.
+  for (const w of work) {
+    if (!w.sameAs) continue;
+    const m = w.sameAs.match;
+    if (m.outcome === 'created_lead') w.match = { outcome: 'matched_lead', sobject: 'Lead', id: m.id, record: m.record };
+  }
+
+  // ---- Plan updates ----
+  const updates = [];
+  for (const w of work) {
+    if (results[w.i]) continue;
+    const { match } = w;
+    if (match.outcome === 'unmatched') {
+      results[w.i] = { ...w.base, status: 'unmatched', outcome: 'unmatched', sobject: null, recordId: null, recordName: '' };
+      continue;
+    }
+    let describeByField;
+    try {
+      describeByField = await ensureMappingValid(sf, mapping, { sobject: match.sobject });
+    } catch (err) {
+      if (!(err instanceof MappingError)) throw err;
+      // The mapping doesn't fit this object in the org: only its bookings fail.
+      results[w.i] = { ...w.base, status: 'error', outcome: match.outcome, sobject: match.sobject, recordId: match.id, recordName: recordName(match.record), error: err.message, errorCode: null };
+      continue;
+    }
+    const { fields, warnings } = buildFields(mappingFor(mapping, match.sobject), w.base.attrs, w.b.plan.action, describeByField);
+    const record = current(match.sobject, match.id || `new:${w.sameAs?.i}`, match.record);
+    const diff = fieldDiff(record, fields);
+    const result = {
+      ...w.base,
+      outcome: match.outcome,
+      sobject: match.sobject,
+      recordId: match.id,
+      recordName: recordName(match.record),
+      fields,
+      diff,
+      warnings: [...w.base.warnings, ...warnings]
+    };
+
+    if (isUpToDate(record, fields)) {
+      results[w.i] = { ...result, status: 'skipped' };
+      continue;
+    }
+    Object.assign(record, fields);
+    results[w.i] = { ...result, status: 'updated' };
+    if (match.id) updates.push(w);
+  }
+
+  // ---- Apply updates ----
+  // A collection may not name the same Id twice, so repeat visits to a record
+  // go into later rounds, preserving the batch order.
+  if (!dryRun && updates.length) {
+    const rounds = [];
+    for (const w of updates) {
+      let round = rounds.find(r => !r.ids.has(w.match.id));
+      if (!round) { round = { ids: new Set(), items: [] }; rounds.push(round); }
+      round.ids.add(w.match.id);
+      round.items.push(w);
+    }
+    for (const round of rounds) {
+      const out = await sf.updateMany(round.items.map(w => ({
+        attributes: { type: w.match.sobject },
+        Id: w.match.id,
+        ...results[w.i].fields
+      })));
+      round.items.forEach((w, j) => {
+        if (!out[j].success) results[w.i] = { ...results[w.i], status: 'error', ...collectionError(out[j]) };
+      });
+    }
+  }
+
+  // ---- Event activity ----
+  // Records written (or already current) get their Event brought in line; a
+  // failed Event write fails the booking so the queue retries it.
+  const withActivity = work.filter(w => ['updated', 'created', 'skipped'].includes(results[w.i].status) && results[w.i].recordId);
+  if (activity.enabled && withActivity.length) {
+    const out = await syncActivities(sf, withActivity.map(w => ({
+      attrs: results[w.i].attrs,
+      action: results[w.i].action,
+      invitee: w.b.plan.invitee,
+      sobject: results[w.i].sobject,
+      recordId: results[w.i].recordId
+    })), { config: activity, dryRun });
+    withActivity.forEach((w, j) => {
+      const a = out[j];
+      results[w.i] = a.status === 'error'
+        ? { ...results[w.i], status: 'error', activity: a, error: `Event: ${a.error}`, errorCode: null }
+        : { ...results[w.i], activity: a };
+    });
+  }
+
+  // ---- Ledger ----
+  if (ledger && !dryRun) {
+    for (const w of work) {
+      const r = results[w.i];
+      if (!w.key || !['updated', 'created', 'skipped'].includes(r.status)) continue;
+      await ledger.record(w.key, { fingerprint: w.fingerprint, sobject: r.sobject, recordId: r.recordId });
+    }
+  }
+
+  return results;
+}
+
+// Single-booking form: same result shape, but a rejected write is thrown as a
+// SalesforceError so the caller can queue it.
+export async function syncBooking(sf, { plan, email, mapping, matching, ledger = null, links = null, activity, recordTypeId = null, dryRun = false }) {
+  const [result] = await syncBookings(sf, [{ plan, email }], { mapping, matching, ledger, links, activity, recordTypeId, dryRun });
+  if (result.status === 'error') {
+    throw new SalesforceError(`SF write error: ${result.error}`, { errorCode: result.errorCode });
+  }
+  return result;
+}
+
+// Re-reads a queued booking from Calendly so retries act on its current state.
+// Queued URIs may have come from a legacy body, so only Calendly's own are
+// fetched with the token.
+export async function loadQueuedBooking(item, token) {
+  const { inviteeUri, eventUri } = item.payload;
+  if (!isScheduledEventUri(inviteeUri)) throw new Error('Queued inviteeUri is not a Calendly scheduled event URI');
+  const inv = await calendlyGet(inviteeUri, token);
+  const invitee = inv?.resource;
+  if (!invitee) throw new Error('Calendly returned no invitee resource');
+  const event = invitee.event || eventUri;
+  if (!isScheduledEventUri(event)) throw new Error('Queued eventUri is not a Calendly scheduled event URI');
+  const evt = await calendlyGet(event, token);
+  return planInvitee({ invitee, event: evt?.resource }, token);
+}
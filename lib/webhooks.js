@@ -0,0 +1,138 @@
+// /lib/webhooks.js
+// Calendly webhook subscription management: list, create, delete and
+// "ensure" (idempotently converge on one active subscription delivering the
+// right events to /api/calendly-hook).
+//
+// CALENDLY_WEBHOOK_SCOPE         organization (default) | user
+// CALENDLY_USER_URI              user for user scope (default: the token's user)
+// CALENDLY_WEBHOOK_SIGNING_KEY   signing key to register; when unset a key is
+//                                generated and kept in the store, where the hook
+//                                reads it from. That needs the kv store, which
+//                                every instance shares; with any other backend
+//                                creating a subscription requires this var.
+//
+// Orgs from the routing rules (lib/routing.js) each get their own
+// subscription, delivered to /api/calendly-hook?org=<id> and signed with that
+// org's key.
+
+import crypto from 'node:crypto';
+import { calendlyApiUrl, calendlyCollect, calendlyGet, calendlyRequest, calendlyToken } from './calendly.js';
+import { createStore, storeBackend } from './store.js';
+import { DEFAULT_ORG } from './routing.js';
+
+export const WEBHOOK_EVENTS = ['invitee.created', 'invitee.canceled', 'invitee_no_show.created', 'invitee_no_show.deleted'];
+
+// `org` is an orgContext() from lib/routing.js; without one the plain env
+// vars apply.
+export function webhookConfig(env = process.env, org = null) {
+  return {
+    orgId: org?.id || DEFAULT_ORG,
+    scope: (env.CALENDLY_WEBHOOK_SCOPE || 'organization').toLowerCase() === 'user' ? 'user' : 'organization',
+    organization: org ? org.organizationUri : env.CALENDLY_ORGANIZATION_URI || null,
+    user: env.CALENDLY_USER_URI || null,
+    signingKey: org ? org.signingKey : (env.CALENDLY_WEBHOOK_SIGNING_KEY || '').trim() || null
+  };
+}
+
+const settingsKey = (config) => (config.orgId === DEFAULT_ORG ? 'calendly.webhook' : `calendly.webhook:${config.orgId}`);
+
+// Deliveries for a non-default org carry ?org=<id> so the hook knows whose
+// key and token to use.
+export function orgCallbackUrl(callbackUrl, orgId = DEFAULT_ORG) {
+  if (!callbackUrl || orgId === DEFAULT_ORG) return callbackUrl;
+  const url = new URL(callbackUrl);
+  url.searchParams.set('org', orgId);
+  return url.toString();
+}
+
+// The key webhook deliveries are verified with: the env var, else the key
+// stored when the subscription was created here.
+export async function webhookSigningKey(config = webhookConfig(), store = null) {
+  if (config.signingKey) return config.signingKey;
+  const saved = await (store || createStore('settings')).get(settingsKey(config));
+  return saved?.signingKey || null;
+}
+
+async function scopeParams(config, token) {
+  if (!config.organization) throw new Error('Missing CALENDLY_ORGANIZATION_URI');
+  const params = { organization: config.organization, scope: config.scope };
+  if (config.scope === 'user') {
+    params.user = config.user || (await calendlyGet(`${calendlyApiUrl()}/users/me`, token))?.resource?.uri;
+    if (!params.user) throw new Error('Could not resolve the Calendly user for user scope');
+  }
+  return params;
+}
+
+const missingEvents = (sub, events) => events.filter(e => !(sub.events || []).includes(e));
+
+// `store` defaults to the settings namespace of the configured backend, opened
+// only when a generated key has to be read or kept.
+export function createWebhookManager({ config = webhookConfig(), token = calendlyToken(), store = null } = {}) {
+  const settings = () => store || createStore('settings');
+  // A generated key kept in a per-instance store would be lost to the hook.
+  const keyStorable = () => {
+    if (!config.signingKey && !store && storeBackend() !== 'kv') {
+      throw Object.assign(new Error('Set CALENDLY_WEBHOOK_SIGNING_KEY: a generated signing key is only kept with the kv store'), { status: 400 });
+    }
+  };
+  const register = async ({ callbackUrl, events }) => {
+    const params = await scopeParams(config, token);
+    const signingKey = config.signingKey || crypto.randomBytes(32).toString('hex');
+    const out = await calendlyRequest('POST', `${calendlyApiUrl()}/webhook_subscriptions`, {
+      url: callbackUrl,
+      events,
+      ...params,
+      signing_key: signingKey
+    }, token);
+    const sub = out?.resource;
+    if (!config.signingKey) {
+      await settings().set(settingsKey(config), { signingKey, subscription: sub?.uri || null, callbackUrl, createdAt: new Date().toISOString() });
+    }
+    return sub;
+  };
+  return {
+    async list() {
+      const params = await scopeParams(config, token);
+      return calendlyCollect(`${calendlyApiUrl()}/webhook_subscriptions?${new URLSearchParams({ ...params, count: '100' })}`, token);
+    },
+
+    // Registers a subscription; the signing key is the configured one or a
+    // freshly generated one that is stored for the hook. The hook keeps one
+    // generated key, so that case refuses while a subscription for the
+    // callback exists: it would go on signing with the key being replaced.
+    async create({ callbackUrl, events = WEBHOOK_EVENTS }) {
+      if (!callbackUrl) throw new Error('Cannot work out the callback URL; set CALENDLY_WEBHOOK_URL');
+      keyStorable();
+      if (!config.signingKey && (await this.list()).some(s => s.callback_url === callbackUrl)) {
+        throw Object.assign(new Error('A subscription for this callback already exists; use PUT to replace it'), { status: 409 });
+      }
+      return register({ callbackUrl, events });
+    },
+
+    async remove(uri) {
+      await calendlyRequest('DELETE', uri, undefined, token);
+    },
+
+    // Keeps one active subscription for callbackUrl with every event. Anything
+    // disabled, missing events, or created with a key we no longer have is
+    // replaced, since Calendly can't update a subscription in place.
+    async ensure({ callbackUrl, events = WEBHOOK_EVENTS }) {
+      if (!callbackUrl) throw new Error('Cannot work out the callback URL; set CALENDLY_WEBHOOK_URL');
+      keyStorable();
+      const ours = (await this.list()).filter(s => s.callback_url === callbackUrl);
+      const saved = config.signingKey ? null : await settings().get(settingsKey(config));
+      const keyKnown = (sub) => !!config.signingKey || saved?.subscription === sub.uri;
+      const keep = ours.find(s => s.state === 'active' && !missingEvents(s, events).length && keyKnown(s));
+
+      const removed = [];
+      for (const sub of ours) {
+        if (sub === keep) continue;
+        await this.remove(sub.uri);
+        removed.push(sub.uri);
+      }
+      if (keep) return { status: 'unchanged', subscription: keep, removed };
+      const subscription = await register({ callbackUrl, events });
+      return { status: ours.length ? 'replaced' : 'created', subscription, removed };
+    }
+  };
+}
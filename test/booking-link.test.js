@@ -0,0 +1,111 @@
+// /test/booking-link.test.js
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCalendly } from './fakes/calendly.js';
+import { startFakeSalesforce } from './fakes/salesforce.js';
+import { configure, cleanup, invoke, adminHeaders, delivery } from './helpers.js';
+import bookingLink from '../api/booking-link.js';
+import hook from '../api/calendly-hook.js';
+
+let calendly, salesforce, eventType;
+
+before(async () => {
+  calendly = await startFakeCalendly();
+  salesforce = await startFakeSalesforce();
+  eventType = `${calendly.url}/event_types/SURVEY`;
+});
+
+after(async () => {
+  await calendly.close();
+  await salesforce.close();
+});
+
+beforeEach(() => {
+  calendly.reset();
+  salesforce.reset();
+  configure({ calendly, salesforce, extra: { CALENDLY_SURVEY_EVENT_TYPE: eventType } });
+});
+
+afterEach(cleanup);
+
+const request = (body, { query = '', headers = adminHeaders() } = {}) => invoke(bookingLink, {
+  method: 'POST',
+  url: `/api/booking-link${query}`,
+  headers: { 'content-type': 'application/json', ...headers },
+  body
+});
+
+const addLead = (fields = {}) => salesforce.addRecord('Lead', { FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada@example.com', ...fields });
+
+test('refuses callers without the admin token', async () => {
+  const lead = addLead();
+  const res = await request({ leadId: lead.Id }, { headers: {} });
+  assert.equal(res.status, 401);
+  assert.equal(calendly.state.links.length, 0);
+});
+
+test('creates a single-use link for the survey, prefilled for the Lead', async () => {
+  const lead = addLead();
+
+  const res = await request({ leadId: lead.Id });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(calendly.state.links.map(l => [l.owner, l.owner_type, l.max_event_count]), [[eventType, 'EventType', 1]]);
+  const url = new URL(res.body.url);
+  assert.equal(`${url.origin}${url.pathname}`, res.body.bookingUrl);
+  assert.equal(url.searchParams.get('name'), 'Ada Lovelace');
+  assert.equal(url.searchParams.get('email'), 'ada@example.com');
+  assert.equal(url.searchParams.get('utm_content'), lead.Id);
+  assert.equal(url.searchParams.get('salesforce_uuid'), lead.Id);
+  assert.equal(res.body.writtenTo, null);
+  assert.equal(lead.Survey_booking_link__c, undefined);
+});
+
+test('writes the link back to the Lead when a field is configured', async () => {
+  process.env.SF_LEAD_LINK_FIELD = 'Survey_booking_link__c';
+  const lead = addLead();
+
+  const res = await request(null, { query: `?leadId=${lead.Id}` });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.writtenTo, 'Survey_booking_link__c');
+  assert.equal(lead.Survey_booking_link__c, res.body.url);
+});
+
+test('rejects bad, unknown and converted Leads before calling Calendly', async () => {
+  const converted = addLead({ IsConverted: true });
+
+  assert.equal((await request({ leadId: 'not-an-id' })).status, 400);
+  assert.equal((await request({ leadId: '003000000000001AAA' })).status, 400);
+  assert.equal((await request({ leadId: '00Q000000000999AAA' })).status, 404);
+  assert.equal((await request({ leadId: converted.Id })).status, 409);
+  assert.equal(calendly.state.links.length, 0);
+});
+
+test('a Calendly failure answers 502 and writes nothing', async () => {
+  process.env.SF_LEAD_LINK_FIELD = 'Survey_booking_link__c';
+  const lead = addLead();
+  calendly.failNext({ path: '/scheduling_links', status: 401, body: { title: 'Unauthenticated' } });
+
+  const res = await request({ leadId: lead.Id });
+
+  assert.equal(res.status, 502);
+  assert.equal(lead.Survey_booking_link__c, undefined);
+});
+
+test('a booking made through the link updates its Lead even under another email', async () => {
+  const lead = addLead();
+  const other = addLead({ FirstName: 'Someone', LastName: 'Else', Email: 'typo@example.com' });
+  const res = await request({ leadId: lead.Id });
+  const tracking = Object.fromEntries(['utm_content', 'salesforce_uuid'].map(k => [k, new URL(res.body.url).searchParams.get(k)]));
+
+  const event = calendly.addEvent({ start_time: '2030-05-01T09:00:00Z', event_type: eventType });
+  const invitee = calendly.addInvitee(event, { email: 'typo@example.com', tracking });
+  const synced = await invoke(hook, { method: 'POST', ...delivery('invitee.created', { ...invitee, scheduled_event: event }) });
+
+  assert.equal(synced.status, 200);
+  assert.equal(synced.body.leadId, lead.Id);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+  assert.equal(other.Survey_scheduled__c, undefined);
+});
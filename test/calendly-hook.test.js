@@ -0,0 +1,289 @@
+// /test/calendly-hook.test.js
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCalendly } from './fakes/calendly.js';
+import { startFakeSalesforce } from './fakes/salesforce.js';
+import { configure, cleanup, invoke, delivery } from './helpers.js';
+import hook from '../api/calendly-hook.js';
+import cron from '../api/cron/sync-calendly.js';
+import { createQueue } from '../lib/queue.js';
+import { loadRouting } from '../lib/routing.js';
+import { createStore } from '../lib/store.js';
+
+let calendly, salesforce;
+
+before(async () => {
+  calendly = await startFakeCalendly();
+  salesforce = await startFakeSalesforce();
+});
+
+after(async () => {
+  await calendly.close();
+  await salesforce.close();
+});
+
+beforeEach(() => {
+  calendly.reset();
+  salesforce.reset();
+  configure({ calendly, salesforce });
+});
+
+afterEach(cleanup);
+
+function booking(inviteeFields = {}, eventFields = {}) {
+  const event = calendly.addEvent({ start_time: '2030-05-01T09:00:00Z', ...eventFields });
+  const invitee = calendly.addInvitee(event, inviteeFields);
+  return { event, invitee };
+}
+
+const created = ({ invitee, event }) => delivery('invitee.created', { ...invitee, scheduled_event: event });
+
+test('a signed invitee.created updates the matching Lead', async () => {
+  const lead = salesforce.addRecord('Lead', { FirstName: 'Test', LastName: 'Booker', Email: 'Booker@Example.com' });
+  const b = booking({ payment: { successful: true, amount: 95, currency: 'gbp', provider: 'stripe' } });
+
+  const res = await invoke(hook, { method: 'POST', ...created(b) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcome, 'matched_lead');
+  assert.equal(res.body.status, 'updated');
+  assert.equal(res.body.leadId, lead.Id);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+  assert.equal(lead.Survey_payment_complete__c, true);
+});
+
+test('a delivery with a bad signature is refused and nothing is written', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+
+  const wrongKey = await invoke(hook, { method: 'POST', ...delivery('invitee.created', b.invitee, { key: 'not-the-key' }) });
+  const stale = await invoke(hook, { method: 'POST', ...delivery('invitee.created', b.invitee, { timestamp: Math.floor(Date.now() / 1000) - 3600 }) });
+  const { body } = created(b);
+  const unsigned = await invoke(hook, { method: 'POST', body, headers: { 'content-type': 'application/json' } });
+
+  assert.deepEqual([wrongKey.status, stale.status, unsigned.status], [401, 401, 401]);
+  assert.equal(lead.Survey_scheduled__c, undefined);
+  assert.equal(salesforce.requests.length, 0);
+});
+
+test('a tampered body fails verification', async () => {
+  const b = booking();
+  const d = created(b);
+  const res = await invoke(hook, { method: 'POST', headers: d.headers, body: d.body.replace('booker@example.com', 'someone@example.com') });
+  assert.equal(res.status, 401);
+});
+
+test('legacy bodies may only name Calendly scheduled event URIs', async () => {
+  process.env.CALENDLY_HOOK_ALLOW_LEGACY = 'true';
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+  const legacy = (fields) => invoke(hook, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ inviteeUri: b.invitee.uri, eventUri: b.event.uri, email: 'booker@example.com', ...fields })
+  });
+
+  const foreign = await legacy({ inviteeUri: 'https://attacker.example/scheduled_events/E/invitees/I' });
+  const foreignEvent = await legacy({ eventUri: 'https://attacker.example/scheduled_events/E' });
+  assert.deepEqual([foreign.status, foreignEvent.status], [400, 400]);
+  assert.equal(calendly.requests.length, 0);
+
+  const ok = await legacy({});
+  assert.equal(ok.status, 200);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+});
+
+test('a booker without a Lead is queued, then synced by the cron once the Lead exists', async () => {
+  const b = booking();
+
+  const first = await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(first.status, 202);
+  assert.equal(first.body.reason, 'unmatched');
+  assert.equal((await createQueue().get(b.invitee.uri)).status, 'pending');
+
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const run = await invoke(cron, { url: '/api/cron/sync-calendly', headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } });
+
+  assert.equal(run.status, 200);
+  assert.equal(run.body.queue.succeeded, 1);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+  assert.equal(await createQueue().get(b.invitee.uri), null);
+});
+
+test('SYNC_CREATE_LEADS creates a Lead for an unknown booker', async () => {
+  process.env.SYNC_CREATE_LEADS = '1';
+  const b = booking({ email: 'new.person@example.com', name: 'New Person', first_name: 'New', last_name: 'Person' });
+
+  const res = await invoke(hook, { method: 'POST', ...created(b) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcome, 'created_lead');
+  const lead = salesforce.records.Lead.get(res.body.leadId);
+  assert.equal(lead.Email, 'new.person@example.com');
+  assert.equal(lead.LastName, 'Person');
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+
+  // The run history keeps the diff without the person's details.
+  const [[, run]] = await createStore('runs').entries();
+  const stored = JSON.stringify(run);
+  assert.ok(!/new\.person|Person|New/.test(stored));
+  assert.deepEqual(run.items[0].diff.Email, { before: null, after: '[redacted]' });
+  assert.deepEqual(run.items[0].diff.Survey_scheduled__c, { before: null, after: '2030-05-01' });
+});
+
+test('invitee.canceled clears the survey date', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+  await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+
+  calendly.cancelInvitee(b.invitee);
+  const res = await invoke(hook, { method: 'POST', ...delivery('invitee.canceled', { ...b.invitee, scheduled_event: calendly.state.events.get(b.event.uri) }) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.action, 'cancel');
+  assert.equal(lead.Survey_scheduled__c, null);
+});
+
+test('cancelling a paid booking clears the paid flag as a refund', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking({ payment: { successful: true, amount: 95, currency: 'gbp', provider: 'stripe', external_id: 'ch_1' } });
+  await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(lead.Survey_payment_complete__c, true);
+
+  calendly.cancelInvitee(b.invitee);
+  const res = await invoke(hook, { method: 'POST', ...delivery('invitee.canceled', { ...b.invitee, scheduled_event: calendly.state.events.get(b.event.uri) }) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.payment.status, 'refunded');
+  assert.equal(lead.Survey_payment_complete__c, false);
+});
+
+test('Calendly\'s successful flag decides payment over an amount or transaction id', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking({ payment: { successful: false, amount: 95, currency: 'gbp', provider: 'stripe', external_id: 'ch_1' } });
+
+  const res = await invoke(hook, { method: 'POST', ...created(b) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.payment.status, 'unpaid');
+  assert.equal(lead.Survey_payment_complete__c, false);
+});
+
+test('a payment that differs from SYNC_EXPECTED_PRICES is flagged', async () => {
+  process.env.SYNC_EXPECTED_PRICES = JSON.stringify({ 'Home Survey': '95.00 GBP' });
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking({ payment: { successful: true, amount: 80, currency: 'gbp', provider: 'stripe' } });
+
+  const res = await invoke(hook, { method: 'POST', ...created(b) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.payment.mismatch, 'paid 80 GBP, expected 95 GBP');
+  assert.equal(res.body.payment.expectedAmount, 95);
+  assert.ok(res.body.warnings.includes('payment: paid 80 GBP, expected 95 GBP'));
+  // Still paid: the mismatch is reported, not held against the Lead.
+  assert.equal(lead.Survey_payment_complete__c, true);
+  const [[, run]] = await createStore('runs').entries();
+  assert.equal(run.items[0].payment.mismatch, 'paid 80 GBP, expected 95 GBP');
+});
+
+test('a cancellation that was a reschedule writes the new date instead', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const later = calendly.addEvent({ start_time: '2030-06-10T09:00:00Z' });
+  const replacement = calendly.addInvitee(later);
+  const b = booking({ status: 'canceled', rescheduled: true, new_invitee: replacement.uri });
+  replacement.old_invitee = b.invitee.uri;
+
+  const res = await invoke(hook, { method: 'POST', ...delivery('invitee.canceled', { ...b.invitee, scheduled_event: b.event }) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.action, 'reschedule');
+  assert.equal(lead.Survey_scheduled__c, '2030-06-10');
+});
+
+test('an expired Salesforce session is renewed once and the write goes through', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  await invoke(hook, { method: 'POST', ...created(booking()) });
+  assert.equal(salesforce.tokenRequests(), 1);
+
+  salesforce.expireTokens();
+  lead.Survey_scheduled__c = null;
+  const res = await invoke(hook, { method: 'POST', ...created(booking({}, { start_time: '2030-05-02T09:00:00Z' })) });
+
+  assert.equal(res.status, 200);
+  assert.equal(salesforce.tokenRequests(), 2);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-02');
+});
+
+test('a Salesforce 5xx is queued and retried by the cron', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+  salesforce.failNext({ path: '/query', status: 503, body: [{ errorCode: 'SERVER_UNAVAILABLE', message: 'down for maintenance' }] });
+
+  const res = await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.reason, 'error');
+  assert.match(res.body.error, /503/);
+  assert.equal(lead.Survey_scheduled__c, undefined);
+
+  const run = await invoke(cron, { url: '/api/cron/sync-calendly', headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } });
+  assert.equal(run.status, 200);
+  assert.equal(run.body.queue.succeeded, 1);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+});
+
+test('a Calendly 5xx while loading the invitee is queued', async () => {
+  salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+  calendly.failNext({ path: '/invitees/', status: 502, body: { title: 'Bad Gateway' } });
+
+  const res = await invoke(hook, {
+    method: 'POST',
+    ...delivery('invitee_no_show.created', { uri: `${calendly.url}/invitee_no_shows/N1`, invitee: b.invitee.uri, created_at: new Date().toISOString() })
+  });
+
+  assert.equal(res.status, 202);
+  assert.equal((await createQueue().get(b.invitee.uri)).reason, 'error');
+});
+
+test('a failed event type lookup is queued rather than ignored', async () => {
+  process.env.SYNC_ROUTES_JSON = JSON.stringify({ routes: [{ name: 'surveys', match: { eventType: 'et1' } }], unmatched: 'ignore' });
+  loadRouting({ reload: true });
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const b = booking();
+  calendly.failNext({ path: '/event_types/', status: 503, body: { title: 'Service Unavailable' } });
+
+  const failed = await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(failed.status, 202);
+  assert.equal((await createQueue().get(b.invitee.uri)).reason, 'error');
+
+  const retried = await invoke(hook, { method: 'POST', ...created(b) });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.route, 'surveys');
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+});
+
+test('on Vercel without a shared store the delivery fails so Calendly retries', async () => {
+  delete process.env.SYNC_STORE;
+  process.env.VERCEL = '1';
+  salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+
+  const res = await invoke(hook, { method: 'POST', ...created(booking()) });
+
+  assert.equal(res.status, 500);
+  assert.match(res.body.error, /No shared store/);
+});
+
+test('dry runs report the diff without writing', async () => {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const d = created(booking());
+
+  const res = await invoke(hook, { method: 'POST', body: d.body, headers: { ...d.headers, 'x-dry-run': '1' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual(res.body.diff.Survey_scheduled__c, { before: null, after: '2030-05-01' });
+  assert.equal(lead.Survey_scheduled__c, undefined);
+  assert.equal(salesforce.requests.filter(r => r.method === 'PATCH').length, 0);
+});
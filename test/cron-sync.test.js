@@ -0,0 +1,295 @@
+// /test/cron-sync.test.js
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCalendly } from './fakes/calendly.js';
+import { startFakeSalesforce } from './fakes/salesforce.js';
+import { configure, cleanup, invoke } from './helpers.js';
+import cron from '../api/cron/sync-calendly.js';
+import { createQueue } from '../lib/queue.js';
+import { createLinkRegistry } from '../lib/links.js';
+import { createStore } from '../lib/store.js';
+
+let calendly, salesforce;
+
+before(async () => {
+  calendly = await startFakeCalendly();
+  salesforce = await startFakeSalesforce();
+});
+
+after(async () => {
+  await calendly.close();
+  await salesforce.close();
+});
+
+beforeEach(() => {
+  calendly.reset();
+  salesforce.reset();
+  configure({ calendly, salesforce });
+});
+
+afterEach(cleanup);
+
+const sweep = (query = '') => invoke(cron, {
+  url: `/api/cron/sync-calendly${query}`,
+  headers: { authorization: `Bearer ${process.env.CRON_SECRET}` }
+});
+
+function bookings(n) {
+  return Array.from({ length: n }, (_, i) => {
+    const email = `booker${i}@example.com`;
+    const lead = salesforce.addRecord('Lead', { LastName: `Booker ${i}`, Email: email });
+    const event = calendly.addEvent({ start_time: `2030-05-${String(i + 1).padStart(2, '0')}T09:00:00Z` });
+    calendly.addInvitee(event, { email });
+    return lead;
+  });
+}
+
+test('refuses requests without the cron secret', async () => {
+  const res = await invoke(cron, { url: '/api/cron/sync-calendly' });
+  assert.equal(res.status, 401);
+  assert.equal(calendly.requests.length, 0);
+});
+
+test('follows Calendly and Salesforce pagination', async () => {
+  calendly.pageSize = 2;
+  salesforce.queryPageSize = 2;
+  const leads = bookings(5);
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.totalEvents, 5);
+  assert.equal(res.body.processed, 5);
+  assert.equal(res.body.outcomes.matched_lead, 5);
+  assert.deepEqual(leads.map(l => l.Survey_scheduled__c), ['2030-05-01', '2030-05-02', '2030-05-03', '2030-05-04', '2030-05-05']);
+  assert.equal(calendly.requests.filter(r => r.path === '/scheduled_events').length, 3);
+  assert.ok(salesforce.requests.some(r => r.path.includes('/query/01g')));
+});
+
+test('moves the cursor so unchanged invitees are not re-synced', async () => {
+  process.env.SYNC_CURSOR_SKEW_SEC = '0';
+  bookings(2);
+  const first = await sweep();
+  assert.equal(first.body.processed, 2);
+  assert.ok(first.body.cursor.next);
+
+  const second = await sweep();
+  assert.equal(second.status, 200);
+  assert.equal(second.body.processed, 0);
+  assert.equal(second.body.beforeCursor, 2);
+  assert.equal(second.body.cursor.previous, first.body.cursor.next);
+});
+
+test('keeps the cursor behind the run start so late invitees are still picked up', async () => {
+  bookings(1);
+  const event = calendly.addEvent({ start_time: '2030-06-01T09:00:00Z' });
+  const future = new Date(Date.now() + 3600_000).toISOString();
+  calendly.addInvitee(event, { email: 'booker0@example.com', created_at: future, updated_at: future });
+
+  const started = Date.now();
+  const first = await sweep();
+  assert.ok(Date.parse(first.body.cursor.next) <= started - 300_000 + 1000);
+
+  // An invitee stamped earlier than the newest one seen, arriving after the sweep.
+  const late = calendly.addEvent({ start_time: '2030-06-02T09:00:00Z' });
+  calendly.addInvitee(late, { email: 'booker0@example.com', created_at: new Date(Date.now() - 60_000).toISOString() });
+  const second = await sweep();
+  assert.ok(second.body.results.some(r => r.invitee.startsWith(late.uri)));
+});
+
+test('a ?since= backfill leaves the stored cursor alone', async () => {
+  process.env.SYNC_CURSOR_SKEW_SEC = '0';
+  bookings(1);
+  const first = await sweep();
+
+  const backfill = await sweep(`?since=${encodeURIComponent(new Date(Date.now() + 60_000).toISOString())}`);
+  assert.equal(backfill.body.cursor.next, first.body.cursor.next);
+
+  const after = await sweep();
+  assert.equal(after.body.cursor.previous, first.body.cursor.next);
+});
+
+test('prunes the run history to SYNC_RUNS_KEEP', async () => {
+  process.env.SYNC_RUNS_KEEP = '2';
+  for (let i = 0; i < 3; i++) await sweep();
+  assert.equal((await createStore('runs').entries()).length, 2);
+});
+
+test('leaves invitees without a Lead in the queue', async () => {
+  const event = calendly.addEvent({ start_time: '2030-05-01T09:00:00Z' });
+  const invitee = calendly.addInvitee(event, { email: 'nobody@example.com' });
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcomes.unmatched, 1);
+  const item = await createQueue().get(invitee.uri);
+  assert.equal(item.reason, 'unmatched');
+});
+
+test('creates Leads for unknown bookers when enabled', async () => {
+  process.env.SYNC_CREATE_LEADS = 'true';
+  const event = calendly.addEvent({ start_time: '2030-05-01T09:00:00Z' });
+  calendly.addInvitee(event, { email: 'fresh@example.com', name: 'Fresh Face', first_name: 'Fresh', last_name: 'Face' });
+
+  const res = await sweep();
+
+  assert.equal(res.body.outcomes.created_lead, 1);
+  const [lead] = salesforce.records.Lead.values();
+  assert.equal(lead.Email, 'fresh@example.com');
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+  // The response is echoed into CI logs: person fields only say they changed.
+  const { diff } = res.body.results[0];
+  assert.deepEqual(diff.Email, { before: null, after: '[redacted]' });
+  assert.deepEqual(diff.LastName, { before: null, after: '[redacted]' });
+  assert.deepEqual(diff.Survey_scheduled__c, { before: null, after: '2030-05-01' });
+  assert.ok(!JSON.stringify(res.body).includes('fresh@example.com'));
+});
+
+test('a Contact lacking the mapped fields fails only its own booking', async () => {
+  process.env.SYNC_CREATE_LEADS = 'true';
+  const [lead] = bookings(1);
+  salesforce.addRecord('Contact', { LastName: 'Converted', Email: 'contact@example.com' });
+  calendly.addInvitee(calendly.addEvent({ start_time: '2030-05-02T09:00:00Z' }), { email: 'fresh@example.com' });
+  calendly.addInvitee(calendly.addEvent({ start_time: '2030-05-03T09:00:00Z' }), { email: 'contact@example.com' });
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+  assert.equal(res.body.outcomes.created_lead, 1);
+  const failed = res.body.results.filter(r => r.status === 'error');
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].sobject, 'Contact');
+  assert.match(failed[0].error, /Contact\.Survey_scheduled__c does not exist/);
+});
+
+test('matches by the booking link\'s Lead Id before email, falling back when it is converted', async () => {
+  const tracked = salesforce.addRecord('Lead', { LastName: 'Tracked', Email: 'old@example.com' });
+  const converted = salesforce.addRecord('Lead', { LastName: 'Converted', Email: 'old@example.com', IsConverted: true });
+  const byEmail = salesforce.addRecord('Lead', { LastName: 'By email', Email: 'new@example.com' });
+  const links = createLinkRegistry();
+  await links.record(tracked.Id, { bookingUrl: 'https://calendly.test/d/L1' });
+  await links.record(converted.Id, { bookingUrl: 'https://calendly.test/d/L2' });
+  calendly.addInvitee(calendly.addEvent({ start_time: '2030-05-01T09:00:00Z' }), { email: 'new@example.com', tracking: { utm_content: tracked.Id } });
+  calendly.addInvitee(calendly.addEvent({ start_time: '2030-05-02T09:00:00Z' }), { email: 'new@example.com', tracking: { salesforce_uuid: converted.Id.slice(0, 15) } });
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(tracked.Survey_scheduled__c, '2030-05-01');
+  assert.equal(converted.Survey_scheduled__c, undefined);
+  assert.equal(byEmail.Survey_scheduled__c, '2030-05-02');
+});
+
+test('tracked Ids we did not issue need a matching email and a searched object', async () => {
+  process.env.SYNC_MATCH_OBJECTS = 'Lead';
+  const stranger = salesforce.addRecord('Lead', { LastName: 'Stranger', Email: 'stranger@example.com' });
+  const contact = salesforce.addRecord('Contact', { LastName: 'Contact', Email: 'booker@example.com' });
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  for (const [day, tracking] of [['01', { utm_content: stranger.Id }], ['02', { utm_content: contact.Id }], ['03', { utm_content: '001000000000001AAA' }]]) {
+    calendly.addInvitee(calendly.addEvent({ start_time: `2030-05-${day}T09:00:00Z` }), { tracking });
+  }
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcomes.matched_lead, 3);
+  assert.equal(stranger.Survey_scheduled__c, undefined);
+  assert.equal(contact.Survey_scheduled__c, undefined);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-03');
+  assert.ok(!salesforce.requests.some(r => /FROM (Contact|Account)/.test(r.query.q || '')));
+});
+
+test('cancellations clear the survey date', async () => {
+  const [lead] = bookings(1);
+  await sweep();
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+
+  calendly.cancelInvitee([...calendly.state.invitees.values()][0]);
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].action, 'cancel');
+  assert.equal(lead.Survey_scheduled__c, null);
+});
+
+test('a Calendly 5xx on the events list fails the run and keeps the cursor', async () => {
+  bookings(1);
+  calendly.failNext({ path: '/scheduled_events', status: 503, body: { title: 'Service Unavailable' } });
+
+  const failed = await sweep();
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.error, /503/);
+
+  const retried = await sweep();
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.processed, 1);
+  assert.equal(retried.body.cursor.previous, null);
+});
+
+test('a failed invitee page holds the cursor back', async () => {
+  bookings(2);
+  calendly.failNext({ path: '/invitees', status: 500, body: { title: 'Internal Server Error' } });
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.errors, 1);
+  assert.equal(res.body.processed, 1);
+  assert.equal(res.body.cursor.next, null);
+});
+
+test('a rejected Salesforce write is queued and retried on the next run', async () => {
+  const [lead] = bookings(1);
+  salesforce.failNext({ method: 'PATCH', path: '/composite/sobjects', status: 500, body: [{ errorCode: 'UNKNOWN_EXCEPTION', message: 'An unexpected error occurred' }] });
+
+  const first = await sweep();
+  assert.equal(first.body.errors, 1);
+  assert.equal(lead.Survey_scheduled__c, undefined);
+
+  const second = await sweep();
+  assert.equal(second.body.queue.due, 1);
+  assert.equal(second.body.queue.succeeded, 1);
+  assert.equal(lead.Survey_scheduled__c, '2030-05-01');
+});
+
+test('an expired Salesforce session is renewed mid-run', async () => {
+  bookings(1);
+  await sweep();
+  salesforce.expireTokens();
+  const event = calendly.addEvent({ start_time: '2030-06-01T09:00:00Z' });
+  const lead = salesforce.addRecord('Lead', { LastName: 'Later', Email: 'later@example.com' });
+  calendly.addInvitee(event, { email: 'later@example.com' });
+
+  const res = await sweep();
+
+  assert.equal(res.status, 200);
+  assert.equal(salesforce.tokenRequests(), 2);
+  assert.equal(lead.Survey_scheduled__c, '2030-06-01');
+});
+
+test('a revoked Calendly token fails the run', async () => {
+  bookings(1);
+  process.env.CALENDLY_PAT = 'revoked';
+
+  const res = await sweep();
+
+  assert.equal(res.status, 500);
+  assert.match(res.body.error, /401/);
+});
+
+test('dry runs write nothing', async () => {
+  const [lead] = bookings(1);
+
+  const res = await sweep('?dryRun=1');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.equal(res.body.results[0].status, 'updated');
+  assert.equal(lead.Survey_scheduled__c, undefined);
+
+  const real = await sweep();
+  assert.equal(real.body.processed, 1);
+});
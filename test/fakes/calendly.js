@@ -0,0 +1,182 @@
+// /test/fakes/calendly.js
+// Stand-in for the Calendly v2 API: users/me, event types, scheduled events
+// and their invitees (paginated like the real thing), cancellations,
+// scheduling links and webhook subscriptions. Resource URIs are absolute URLs on this server,
+// so code that follows them stays here.
+
+import { startServer } from './server.js';
+
+export const FAKE_CALENDLY_TOKEN = 'calendly-test-token';
+
+const page = (items, { url, path, query, pageSize }) => {
+  const start = Number(query.page_token || 0);
+  const size = Math.min(Number(query.count) || 20, pageSize);
+  const next = start + size < items.length
+    ? `${url}${path}?${new URLSearchParams({ ...query, page_token: String(start + size) })}`
+    : null;
+  return { collection: items.slice(start, start + size), pagination: { count: Math.min(size, items.length - start), next_page: next } };
+};
+
+export async function startFakeCalendly({ pageSize = 100 } = {}) {
+  const state = { events: new Map(), invitees: new Map(), webhooks: new Map(), links: [] };
+  let seq = 0;
+  let fake;
+
+  const route = async ({ method, path, query, headers, body }) => {
+    if (headers.authorization !== `Bearer ${FAKE_CALENDLY_TOKEN}`) {
+      return { status: 401, body: { title: 'Unauthenticated', message: 'The access token is invalid' } };
+    }
+    const uri = `${fake.url}${path}`;
+    const opts = { url: fake.url, path, query, pageSize: fake.pageSize };
+
+    if (method === 'GET' && path === '/users/me') {
+      return { status: 200, body: { resource: { uri: `${fake.url}/users/ME`, slug: 'test-user', current_organization: fake.organizationUri } } };
+    }
+
+    let m = /^\/event_types\/([^/]+)$/.exec(path);
+    if (m && method === 'GET') {
+      return { status: 200, body: { resource: { uri, name: 'Home Survey', slug: m[1].toLowerCase(), active: true } } };
+    }
+
+    if (method === 'GET' && path === '/scheduled_events') {
+      const min = query.min_start_time ? Date.parse(query.min_start_time) : -Infinity;
+      const events = [...state.events.values()]
+        .filter(e => Date.parse(e.start_time) >= min)
+        .sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time));
+      return { status: 200, body: page(events, opts) };
+    }
+
+    m = /^\/scheduled_events\/([^/]+)\/invitees$/.exec(path);
+    if (m && method === 'GET') {
+      const eventUri = `${fake.url}/scheduled_events/${m[1]}`;
+      return { status: 200, body: page([...state.invitees.values()].filter(i => i.event === eventUri), opts) };
+    }
+
+    m = /^(\/scheduled_events\/[^/]+)\/cancellation$/.exec(path);
+    if (m && method === 'POST') {
+      const event = state.events.get(`${fake.url}${m[1]}`);
+      if (!event) return { status: 404, body: { title: 'Resource Not Found', message: path } };
+      if (event.status === 'canceled' || Date.parse(event.start_time) <= Date.now()) {
+        return { status: 403, body: { title: 'Permission Denied', message: 'Event is in the past or already canceled' } };
+      }
+      const cancellation = { canceled_by: 'Test User', reason: body?.reason || null, canceler_type: 'host', created_at: new Date().toISOString() };
+      Object.assign(event, { status: 'canceled', cancellation, updated_at: cancellation.created_at });
+      for (const invitee of state.invitees.values()) {
+        if (invitee.event === event.uri) Object.assign(invitee, { status: 'canceled', cancellation, updated_at: cancellation.created_at });
+      }
+      return { status: 201, body: { resource: cancellation } };
+    }
+
+    if (method === 'POST' && path === '/scheduling_links') {
+      if (body?.owner_type !== 'EventType' || !String(body?.owner || '').startsWith(`${fake.url}/event_types/`)) {
+        return { status: 400, body: { title: 'Invalid Argument', message: 'owner must be an event type', details: [{ parameter: 'owner' }] } };
+      }
+      const link = { booking_url: `https://calendly.test/d/L${++seq}/home-survey`, owner: body.owner, owner_type: body.owner_type, max_event_count: body.max_event_count };
+      state.links.push(link);
+      return { status: 201, body: { resource: link } };
+    }
+
+    if (method === 'GET' && state.events.has(uri)) return { status: 200, body: { resource: state.events.get(uri) } };
+    if (method === 'GET' && state.invitees.has(uri)) return { status: 200, body: { resource: state.invitees.get(uri) } };
+
+    if (path === '/webhook_subscriptions') {
+      if (method === 'GET') return { status: 200, body: page([...state.webhooks.values()], opts) };
+      if (method === 'POST') {
+        const sub = {
+          uri: `${fake.url}/webhook_subscriptions/W${++seq}`,
+          callback_url: body.url,
+          events: body.events,
+          scope: body.scope,
+          organization: body.organization,
+          state: 'active',
+          created_at: new Date().toISOString(),
+          signing_key: body.signing_key
+        };
+        state.webhooks.set(sub.uri, sub);
+        return { status: 201, body: { resource: sub } };
+      }
+    }
+    if (method === 'DELETE' && state.webhooks.has(uri)) {
+      state.webhooks.delete(uri);
+      return { status: 204 };
+    }
+
+    return { status: 404, body: { title: 'Resource Not Found', message: `${method} ${path}` } };
+  };
+
+  fake = await startServer(route);
+
+  Object.assign(fake, {
+    state,
+    pageSize,
+    organizationUri: `${fake.url}/organizations/ORG`,
+
+    addEvent(fields = {}) {
+      const id = `E${++seq}`;
+      const start = fields.start_time || new Date(Date.now() + 3 * 86400_000).toISOString();
+      const event = {
+        uri: `${fake.url}/scheduled_events/${id}`,
+        name: 'Home Survey',
+        status: 'active',
+        start_time: start,
+        end_time: new Date(Date.parse(start) + 3600_000).toISOString(),
+        event_type: `${fake.url}/event_types/ET1`,
+        location: { type: 'physical', location: '1 Test Street' },
+        event_memberships: [{ user: `${fake.url}/users/ME`, user_email: 'host@example.com', user_name: 'Host' }],
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        ...fields
+      };
+      state.events.set(event.uri, event);
+      return event;
+    },
+
+    addInvitee(event, fields = {}) {
+      const id = `I${++seq}`;
+      const invitee = {
+        uri: `${event.uri}/invitees/${id}`,
+        event: event.uri,
+        email: 'booker@example.com',
+        name: 'Test Booker',
+        first_name: 'Test',
+        last_name: 'Booker',
+        status: 'active',
+        timezone: 'Europe/London',
+        rescheduled: false,
+        new_invitee: null,
+        old_invitee: null,
+        payment: null,
+        tracking: {},
+        questions_and_answers: [],
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        ...fields
+      };
+      state.invitees.set(invitee.uri, invitee);
+      return invitee;
+    },
+
+    // Marks an invitee (and, for a one-person event, the event) cancelled.
+    cancelInvitee(invitee, { reason = 'Cannot make it', canceledBy = 'Test Booker' } = {}) {
+      const now = new Date().toISOString();
+      Object.assign(invitee, {
+        status: 'canceled',
+        updated_at: now,
+        cancellation: { reason, canceled_by: canceledBy, canceler_type: 'invitee', created_at: now }
+      });
+      Object.assign(state.events.get(invitee.event), { status: 'canceled', updated_at: now });
+      return invitee;
+    },
+
+    reset() {
+      state.events.clear();
+      state.invitees.clear();
+      state.webhooks.clear();
+      state.links.length = 0;
+      fake.pageSize = pageSize;
+      fake.resetServer();
+    }
+  });
+
+  return fake;
+}
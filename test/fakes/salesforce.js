@@ -0,0 +1,228 @@
+// /test/fakes/salesforce.js
+// Stand-in for the Salesforce OAuth and REST APIs the bridge uses: token
+// endpoint, SOQL queries (only the WHERE shapes the bridge writes: IN lists
+// and equality joined by AND), describe, single-record updates, sObject
+// Collections and limits.
+// Tokens can be expired to exercise the INVALID_SESSION_ID re-login.
+
+import { startServer } from './server.js';
+
+export const API_VERSION = 'v62.0';
+
+const field = (name, type = 'string', extra = {}) => ({ name, type, updateable: true, createable: true, ...extra });
+
+const SCHEMA = {
+  Lead: [
+    field('Id', 'id', { updateable: false, createable: false }),
+    field('FirstName'), field('LastName'), field('Email', 'email'), field('Phone', 'phone'), field('Company'),
+    field('IsConverted', 'boolean', { updateable: false }),
+    field('CreatedDate', 'datetime', { updateable: false, createable: false }),
+    field('RecordTypeId', 'reference'),
+    field('Survey_scheduled__c', 'date'), field('Survey_payment_complete__c', 'boolean'),
+    field('Survey_booking_link__c', 'url')
+  ],
+  Contact: [
+    field('Id', 'id', { updateable: false, createable: false }),
+    field('FirstName'), field('LastName'), field('Email', 'email'),
+    field('CreatedDate', 'datetime', { updateable: false, createable: false })
+  ],
+  Event: [
+    field('Id', 'id', { updateable: false, createable: false }),
+    field('Subject'), field('WhoId', 'reference'), field('WhatId', 'reference'),
+    field('StartDateTime', 'datetime'), field('EndDateTime', 'datetime'), field('Location'),
+    field('ShowAs', 'picklist'), field('Description', 'textarea'), field('Calendly_Event_URI__c')
+  ]
+};
+
+const PREFIX = { Lead: '00Q', Contact: '003', Account: '001', Event: '00U' };
+
+function literal(v) {
+  v = v.trim();
+  if (v === 'true' || v === 'false') return v === 'true';
+  if (v === 'null') return null;
+  const m = /^'((?:[^'\\]|\\.)*)'$/.exec(v);
+  return m ? m[1].replace(/\\(.)/g, '$1') : v;
+}
+
+const same = (a, b) => (typeof a === 'string' && typeof b === 'string' ? a.toLowerCase() === b.toLowerCase() : (a ?? null) === (b ?? null));
+
+function condition(clause) {
+  let m = /^(\w+)\s+IN\s+\((.*)\)$/i.exec(clause.trim());
+  if (m) {
+    const values = m[2].match(/'(?:[^'\\]|\\.)*'|[^,\s]+/g).map(literal);
+    return (rec) => values.some(v => same(rec[m[1]], v));
+  }
+  m = /^(\w+)\s*=\s*(.+)$/.exec(clause.trim());
+  if (m) {
+    const value = literal(m[2]);
+    return (rec) => same(rec[m[1]] ?? (typeof value === 'boolean' ? false : null), value);
+  }
+  throw new Error(`fake SOQL cannot parse: ${clause}`);
+}
+
+// Selected fields the object's schema lacks, as Salesforce rejects them.
+function unknownColumns(soql) {
+  const m = /^SELECT\s+(.+?)\s+FROM\s+(\w+)/i.exec(soql.trim());
+  if (!m || !SCHEMA[m[2]]) return [];
+  const known = new Set(SCHEMA[m[2]].map(f => f.name));
+  return m[1].split(',').map(s => s.trim()).filter(f => !known.has(f));
+}
+
+export function runSoql(records, soql) {
+  const m = /^SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+ORDER BY\s+(\w+)(?:\s+(ASC|DESC))?)?$/i.exec(soql.trim());
+  if (!m) throw new Error(`fake SOQL cannot parse: ${soql}`);
+  const [, select, sobject, where, orderBy, dir] = m;
+  const tests = where ? where.split(/\s+AND\s+/i).map(condition) : [];
+  let rows = [...(records[sobject]?.values() || [])].filter(r => tests.every(t => t(r)));
+  if (orderBy) {
+    rows.sort((a, b) => String(a[orderBy]).localeCompare(String(b[orderBy])));
+    if (String(dir).toUpperCase() === 'DESC') rows.reverse();
+  }
+  const fields = select.split(',').map(s => s.trim());
+  return rows.map(r => ({
+    attributes: { type: sobject },
+    ...Object.fromEntries(fields.map(f => [f, r[f] ?? null]))
+  }));
+}
+
+export async function startFakeSalesforce({ queryPageSize = 2000 } = {}) {
+  const records = { Lead: new Map(), Contact: new Map(), Event: new Map() };
+  const tokens = new Set();
+  const cursors = new Map();
+  let seq = 0;
+  let fake;
+
+  // 18-character Ids whose first 15 differ, as in a real org.
+  const newId = (sobject) => `${PREFIX[sobject] || 'a00'}${String(++seq).padStart(12, '0')}AAA`;
+
+  function write(method, rec) {
+    const sobject = rec.attributes?.type;
+    const { attributes, ...fields } = rec;
+    if (!records[sobject]) return { success: false, errors: [{ statusCode: 'INVALID_TYPE', message: `sObject type '${sobject}' is not supported`, fields: [] }] };
+    const allowed = new Set(SCHEMA[sobject].map(f => f.name));
+    const unknown = Object.keys(fields).filter(k => k !== 'Id' && !allowed.has(k));
+    if (unknown.length) return { success: false, errors: [{ statusCode: 'INVALID_FIELD', message: `No such column '${unknown[0]}' on ${sobject}`, fields: unknown }] };
+    if (method === 'POST') {
+      const id = newId(sobject);
+      records[sobject].set(id, { Id: id, CreatedDate: new Date().toISOString(), ...fields });
+      return { id, success: true, errors: [] };
+    }
+    const existing = records[sobject].get(fields.Id);
+    if (!existing) return { id: fields.Id, success: false, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+    Object.assign(existing, fields);
+    return { id: fields.Id, success: true, errors: [] };
+  }
+
+  function queryPage(rows, offset) {
+    const size = fake.queryPageSize;
+    const done = offset + size >= rows.length;
+    let nextRecordsUrl;
+    if (!done) {
+      const id = `01g${++seq}`;
+      cursors.set(id, rows);
+      nextRecordsUrl = `/services/data/${API_VERSION}/query/${id}-${offset + size}`;
+    }
+    return { totalSize: rows.length, done, records: rows.slice(offset, offset + size), ...(done ? {} : { nextRecordsUrl }) };
+  }
+
+  const route = async ({ method, path, query, headers, body }) => {
+    if (method === 'POST' && path === '/services/oauth2/token') {
+      const params = new URLSearchParams(body);
+      if (params.get('client_id') !== fake.clientId || params.get('client_secret') !== fake.clientSecret) {
+        return { status: 400, body: { error: 'invalid_client', error_description: 'invalid client credentials' } };
+      }
+      const token = `sf-token-${++seq}`;
+      tokens.add(token);
+      return { status: 200, body: { access_token: token, instance_url: fake.url, token_type: 'Bearer', issued_at: String(Date.now()) } };
+    }
+
+    const token = /^Bearer (.+)$/.exec(headers.authorization || '')?.[1];
+    if (!tokens.has(token)) {
+      return { status: 401, body: [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }] };
+    }
+
+    const base = `/services/data/${API_VERSION}`;
+    if (!path.startsWith(base)) return { status: 404, body: [{ errorCode: 'NOT_FOUND', message: path }] };
+    const rest = path.slice(base.length);
+
+    if (method === 'GET' && rest === '/query') {
+      const unknown = unknownColumns(query.q);
+      if (unknown.length) return { status: 400, body: [{ errorCode: 'INVALID_FIELD', message: `No such column '${unknown[0]}'` }] };
+      return { status: 200, body: queryPage(runSoql(records, query.q), 0) };
+    }
+    let m = /^\/query\/(01g\d+)-(\d+)$/.exec(rest);
+    if (method === 'GET' && m) return { status: 200, body: queryPage(cursors.get(m[1]) || [], Number(m[2])) };
+
+    m = /^\/sobjects\/(\w+)\/describe$/.exec(rest);
+    if (method === 'GET' && m) {
+      if (!SCHEMA[m[1]]) return { status: 404, body: [{ errorCode: 'NOT_FOUND', message: `The requested resource does not exist` }] };
+      return { status: 200, body: { name: m[1], fields: SCHEMA[m[1]] } };
+    }
+
+    m = /^\/sobjects\/(\w+)\/([^/]+)$/.exec(rest);
+    if (method === 'PATCH' && m) {
+      const out = write('PATCH', { attributes: { type: m[1] }, ...body, Id: decodeURIComponent(m[2]) });
+      if (out.success) return { status: 204 };
+      return { status: out.errors[0].statusCode === 'ENTITY_IS_DELETED' ? 404 : 400, body: out.errors.map(e => ({ errorCode: e.statusCode, message: e.message, fields: e.fields })) };
+    }
+
+    if (rest === '/composite/sobjects') {
+      if (method === 'DELETE') {
+        return {
+          status: 200,
+          body: String(query.ids || '').split(',').map(id => {
+            const sobject = Object.keys(records).find(s => records[s].has(id));
+            if (!sobject) return { id, success: false, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+            records[sobject].delete(id);
+            return { id, success: true, errors: [] };
+          })
+        };
+      }
+      if (method === 'POST' || method === 'PATCH') return { status: 200, body: body.records.map(rec => write(method, rec)) };
+    }
+
+    if (method === 'GET' && rest === '/limits') {
+      return { status: 200, body: { DailyApiRequests: { Max: 15000, Remaining: fake.apiRemaining } } };
+    }
+
+    return { status: 404, body: [{ errorCode: 'NOT_FOUND', message: `${method} ${rest}` }] };
+  };
+
+  fake = await startServer(route);
+
+  Object.assign(fake, {
+    records,
+    queryPageSize,
+    clientId: 'sf-test-client',
+    clientSecret: 'sf-test-secret',
+    apiRemaining: 14000,
+
+    addRecord(sobject, fields) {
+      const id = newId(sobject);
+      const rec = { Id: id, CreatedDate: new Date(Date.now() - 86400_000).toISOString(), ...fields };
+      if (sobject === 'Lead' && rec.IsConverted === undefined) rec.IsConverted = false;
+      records[sobject].set(id, rec);
+      return rec;
+    },
+
+    // Every token issued so far stops working, as when a session times out.
+    expireTokens() {
+      tokens.clear();
+    },
+
+    tokenRequests() {
+      return fake.requests.filter(r => r.path === '/services/oauth2/token').length;
+    },
+
+    reset() {
+      for (const m of Object.values(records)) m.clear();
+      tokens.clear();
+      cursors.clear();
+      fake.queryPageSize = queryPageSize;
+      fake.apiRemaining = 14000;
+      fake.resetServer();
+    }
+  });
+
+  return fake;
+}
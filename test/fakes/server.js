@@ -0,0 +1,68 @@
+// /test/fakes/server.js
+// Minimal HTTP server the fake Calendly and Salesforce APIs are built on:
+// JSON in and out, a request log, and one-shot failure injection.
+
+import http from 'node:http';
+
+export async function startServer(route) {
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: text ? (req.headers['content-type']?.includes('json') ? JSON.parse(text) : text) : null
+    };
+    requests.push(request);
+
+    const send = (status, body) => {
+      res.statusCode = status;
+      if (body === undefined || body === null) return res.end();
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+
+    const failure = failures.find(f => f.times > 0 && (!f.method || f.method === req.method) && request.path.includes(f.path));
+    if (failure) {
+      failure.times--;
+      return send(failure.status, failure.body);
+    }
+
+    try {
+      const out = await route(request);
+      send(out.status, out.body);
+    } catch (err) {
+      send(500, { message: `fake server error: ${err.message}` });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+
+    // The next `times` requests whose path contains `path` get `status`.
+    failNext({ method = null, path, status, body = null, times = 1 }) {
+      failures.push({ method, path, status, body, times });
+    },
+
+    resetServer() {
+      requests.length = 0;
+      failures.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,173 @@
+// /test/health.test.js
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCalendly } from './fakes/calendly.js';
+import { startFakeSalesforce } from './fakes/salesforce.js';
+import { configure, cleanup, invoke, adminHeaders } from './helpers.js';
+import health from '../api/health.js';
+import calendlyHealth from '../api/calendly-health.js';
+import sfTokenTest from '../api/sf-token-test.js';
+import webhooks from '../api/calendly-webhooks.js';
+import { loadRouting } from '../lib/routing.js';
+import { createWebhookManager, webhookConfig } from '../lib/webhooks.js';
+import { createStore } from '../lib/store.js';
+
+let calendly, salesforce;
+
+before(async () => {
+  calendly = await startFakeCalendly();
+  salesforce = await startFakeSalesforce();
+});
+
+after(async () => {
+  await calendly.close();
+  await salesforce.close();
+});
+
+beforeEach(() => {
+  calendly.reset();
+  salesforce.reset();
+  configure({ calendly, salesforce });
+});
+
+afterEach(cleanup);
+
+const check = (res, name) => res.body.checks.find(c => c.name === name);
+
+test('requires the admin token', async () => {
+  const res = await invoke(health, { url: '/api/health' });
+  assert.equal(res.status, 401);
+  assert.equal(calendly.requests.length + salesforce.requests.length, 0);
+});
+
+test('passes once the webhook subscription exists', async () => {
+  // The fake org's Contacts lack the shipped mapping's survey fields.
+  process.env.SYNC_MATCH_OBJECTS = 'Lead';
+  const before = await invoke(health, { url: '/api/health', headers: adminHeaders() });
+  assert.equal(before.status, 503);
+  assert.equal(check(before, 'webhook').ok, false);
+  assert.equal(check(before, 'calendly').ok, true);
+
+  const ensured = await invoke(webhooks, { method: 'PUT', url: '/api/calendly-webhooks', headers: adminHeaders() });
+  assert.equal(ensured.status, 201);
+
+  const res = await invoke(health, { url: '/api/health', headers: adminHeaders() });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.checks.map(c => [c.name, c.ok]), [['calendly', true], ['webhook', true], ['salesforce', true], ['schema', true], ['limits', true]]);
+});
+
+test('will not generate a signing key without the kv store', async () => {
+  await invoke(webhooks, { method: 'PUT', url: '/api/calendly-webhooks', headers: adminHeaders() });
+  delete process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+
+  const res = await invoke(webhooks, { method: 'PUT', url: '/api/calendly-webhooks', headers: adminHeaders() });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /CALENDLY_WEBHOOK_SIGNING_KEY/);
+  assert.equal(calendly.state.webhooks.size, 1);
+});
+
+test('a second POST with a generated key is refused so the existing subscription keeps its key', async () => {
+  delete process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+  const store = createStore('settings');
+  const manager = createWebhookManager({ config: webhookConfig(process.env), token: process.env.CALENDLY_PAT, store });
+  const callbackUrl = 'https://bridge.test/api/calendly-hook';
+  await manager.ensure({ callbackUrl });
+  const { signingKey } = await store.get('calendly.webhook');
+
+  await assert.rejects(manager.create({ callbackUrl }), (err) => err.status === 409 && /PUT/.test(err.message));
+
+  assert.equal(calendly.state.webhooks.size, 1);
+  assert.equal((await store.get('calendly.webhook')).signingKey, signingKey);
+});
+
+test('runs a subset and rejects unknown checks', async () => {
+  const subset = await invoke(health, { url: '/api/health?checks=salesforce,limits', headers: adminHeaders() });
+  assert.equal(subset.status, 200);
+  assert.deepEqual(subset.body.checks.map(c => c.name), ['salesforce', 'limits']);
+
+  const unknown = await invoke(health, { url: '/api/health?checks=salesforce,nope', headers: adminHeaders() });
+  assert.equal(unknown.status, 400);
+});
+
+test('reports bad Salesforce credentials without hiding the other checks', async () => {
+  process.env.SF_CLIENT_SECRET = 'wrong';
+
+  const res = await invoke(health, { url: '/api/health?checks=calendly,salesforce', headers: adminHeaders() });
+
+  assert.equal(res.status, 503);
+  assert.equal(check(res, 'calendly').ok, true);
+  assert.equal(check(res, 'salesforce').ok, false);
+  assert.equal(check(res, 'salesforce').detail.errorCode, 'invalid_client');
+});
+
+test('flags a schema that lacks a mapped field', async () => {
+  process.env.SYNC_MATCH_OBJECTS = 'Lead,Contact';
+  process.env.SYNC_MAPPING_JSON = JSON.stringify({
+    sobject: 'Lead',
+    fields: [{ field: 'Missing_Field__c', source: 'start_date', type: 'date' }]
+  });
+  const { loadMapping } = await import('../lib/mapping.js');
+  loadMapping({ reload: true });
+
+  try {
+    const res = await invoke(health, { url: '/api/health?checks=schema', headers: adminHeaders() });
+    assert.equal(res.status, 503);
+    assert.ok(check(res, 'schema').detail.problems.some(p => p.includes('Missing_Field__c')));
+  } finally {
+    delete process.env.SYNC_MAPPING_JSON;
+    loadMapping({ reload: true });
+  }
+});
+
+test('checks every route\'s mapping and objects for the org', async () => {
+  process.env.SYNC_ROUTES_JSON = JSON.stringify({
+    routes: [
+      { name: 'calls', match: { eventType: 'Sales call' }, ignore: true, mapping: { sobject: 'Lead', fields: [{ field: 'Ignored__c', source: 'start_date' }] } },
+      { name: 'surveys', match: { eventType: 'Home Survey' }, objects: ['Contact'], mapping: { sobject: 'Contact', fields: [{ field: 'Route_Field__c', source: 'start_date', type: 'date' }] } }
+    ]
+  });
+  loadRouting({ reload: true });
+
+  const res = await invoke(health, { url: '/api/health?checks=schema', headers: adminHeaders() });
+
+  assert.equal(res.status, 503);
+  const schema = check(res, 'schema');
+  assert.deepEqual(schema.detail.routes, ['surveys', 'default']);
+  assert.deepEqual(schema.detail.problems, [
+    'surveys: Contact.Route_Field__c does not exist',
+    'Contact.Survey_scheduled__c does not exist',
+    'Contact.Survey_payment_complete__c does not exist'
+  ]);
+  assert.deepEqual(schema.detail.objects, { Contact: 'invalid', Lead: 'ok' });
+});
+
+test('rejects route objects that are not match strategies', () => {
+  process.env.SYNC_ROUTES_JSON = JSON.stringify({ routes: [{ name: 'surveys', match: { eventType: 'Home Survey' }, objects: ['Lead', 'Leads'] }] });
+
+  assert.throws(() => loadRouting({ reload: true }), (err) => {
+    assert.equal(err.name, 'MappingError');
+    assert.deepEqual(err.problems, ['routes[0] has unknown "objects" entries: Leads (use Lead, Contact, PersonAccount)']);
+    return true;
+  });
+});
+
+test('fails limits when the API allowance runs low', async () => {
+  salesforce.apiRemaining = 100;
+  const res = await invoke(health, { url: '/api/health?checks=limits', headers: adminHeaders() });
+  assert.equal(res.status, 503);
+  assert.equal(check(res, 'limits').detail.percentRemaining, 0.7);
+});
+
+test('the legacy aliases keep their fields', async () => {
+  const cal = await invoke(calendlyHealth, { url: '/api/calendly-health', headers: adminHeaders() });
+  assert.equal(cal.body.whoami, 'test-user');
+
+  const sf = await invoke(sfTokenTest, { url: '/api/sf-token-test', headers: adminHeaders() });
+  assert.equal(sf.status, 200);
+  assert.equal(sf.body.flow, 'client_credentials');
+  assert.equal(sf.body.instance_url, salesforce.url);
+  assert.equal(sf.body.token_type, 'Bearer');
+  assert.ok('scope' in sf.body);
+});
@@ -0,0 +1,84 @@
+// /test/helpers.js
+// Runs the API handlers in-process against the fake Calendly and Salesforce
+// servers (test/fakes). Each test gets a fresh env, store directory and
+// Salesforce token cache.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { signPayload } from '../lib/calendly.js';
+import { clearTokenCache } from '../lib/salesforce.js';
+import { loadRouting } from '../lib/routing.js';
+import { FAKE_CALENDLY_TOKEN } from './fakes/calendly.js';
+
+export const SIGNING_KEY = 'test-signing-key';
+export const ADMIN_TOKEN = 'test-admin-token';
+
+const ORIGINAL_ENV = { ...process.env };
+
+// Points the bridge at the fakes. `extra` is merged over the defaults.
+export function configure({ calendly, salesforce, extra = {} }) {
+  for (const k of Object.keys(process.env)) if (!(k in ORIGINAL_ENV)) delete process.env[k];
+  for (const k of Object.keys(process.env)) {
+    if (/^(CALENDLY_|SF_|SYNC_|KV_|CRON_SECRET$|LOG_|VERCEL)/.test(k)) delete process.env[k];
+  }
+  Object.assign(process.env, {
+    CALENDLY_API_URL: calendly.url,
+    CALENDLY_PAT: FAKE_CALENDLY_TOKEN,
+    CALENDLY_ORGANIZATION_URI: calendly.organizationUri,
+    CALENDLY_WEBHOOK_SIGNING_KEY: SIGNING_KEY,
+    CALENDLY_WEBHOOK_URL: 'https://bridge.test/api/calendly-hook',
+    SF_LOGIN_URL: salesforce.url,
+    SF_CLIENT_ID: salesforce.clientId,
+    SF_CLIENT_SECRET: salesforce.clientSecret,
+    SYNC_STORE: 'file',
+    SYNC_STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-')),
+    SYNC_QUEUE_BASE_DELAY_SEC: '0',
+    SYNC_ADMIN_TOKEN: ADMIN_TOKEN,
+    CRON_SECRET: ADMIN_TOKEN,
+    LOG_LEVEL: 'silent',
+    ...extra
+  });
+  clearTokenCache();
+  loadRouting({ reload: true });
+}
+
+export function cleanup() {
+  if (process.env.SYNC_STORE_DIR?.includes('bridge-test-')) {
+    fs.rmSync(process.env.SYNC_STORE_DIR, { recursive: true, force: true });
+  }
+}
+
+// Calls a Vercel-style handler with a streamed request and collects the
+// response; JSON bodies are parsed, anything else is returned as text.
+export async function invoke(handler, { method = 'GET', url = '/', headers = {}, body = null } = {}) {
+  const raw = body == null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  Object.assign(req, { method, url, headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])) });
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    end(chunk) { this.body = chunk ? String(chunk) : ''; }
+  };
+  await handler(req, res);
+  const isJson = String(res.headers['content-type'] || '').includes('json');
+  return { status: res.statusCode, headers: res.headers, body: !res.body ? null : isJson ? JSON.parse(res.body) : res.body };
+}
+
+export const adminHeaders = () => ({ authorization: `Bearer ${ADMIN_TOKEN}` });
+
+// A Calendly webhook delivery with a valid (or deliberately broken) signature.
+export function delivery(event, payload, { key = SIGNING_KEY, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const body = JSON.stringify({ event, created_at: new Date().toISOString(), payload });
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'calendly-webhook-signature': `t=${timestamp},v1=${signPayload(key, timestamp, body)}`
+    }
+  };
+}
@@ -0,0 +1,199 @@
+// /test/salesforce-hook.test.js
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCalendly } from './fakes/calendly.js';
+import { startFakeSalesforce } from './fakes/salesforce.js';
+import { configure, cleanup, invoke, delivery } from './helpers.js';
+import reverse from '../api/salesforce-hook.js';
+import hook from '../api/calendly-hook.js';
+
+const TOKEN = 'reverse-token';
+const ORG_ID = '00D000000000001AAA';
+
+let calendly, salesforce;
+
+before(async () => {
+  calendly = await startFakeCalendly();
+  salesforce = await startFakeSalesforce();
+});
+
+after(async () => {
+  await calendly.close();
+  await salesforce.close();
+});
+
+beforeEach(() => {
+  calendly.reset();
+  salesforce.reset();
+  configure({ calendly, salesforce, extra: { SF_REVERSE_SYNC_TOKEN: TOKEN, SF_ORGANIZATION_ID: ORG_ID } });
+});
+
+afterEach(cleanup);
+
+function outboundMessage(leads, { organizationId = ORG_ID } = {}) {
+  const notifications = leads.map(({ id, status }, i) => `
+   <Notification>
+    <Id>04l00000000000${i}AAA</Id>
+    <sObject xsi:type="sf:Lead" xmlns:sf="urn:sobject.enterprise.soap.sforce.com">
+     <sf:Id>${id}</sf:Id>
+     ${status === null ? '<sf:Status xsi:nil="true"/>' : `<sf:Status>${status.replace(/&/g, '&amp;')}</sf:Status>`}
+    </sObject>
+   </Notification>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+ <soapenv:Body>
+  <notifications xmlns="http://soap.sforce.com/2005/09/outbound">
+   <OrganizationId>${organizationId}</OrganizationId>
+   <ActionId>04k000000000001AAA</ActionId>
+   <SessionId xsi:nil="true"/>
+   <EnterpriseUrl>${salesforce.url}/services/Soap/c/62.0/00D000000000001</EnterpriseUrl>
+   <PartnerUrl>${salesforce.url}/services/Soap/u/62.0/00D000000000001</PartnerUrl>${notifications}
+  </notifications>
+ </soapenv:Body>
+</soapenv:Envelope>`;
+}
+
+const send = (body, { query = `?token=${TOKEN}`, headers = {} } = {}) => invoke(reverse, {
+  method: 'POST',
+  url: `/api/salesforce-hook${query}`,
+  headers: { 'content-type': typeof body === 'string' ? 'text/xml' : 'application/json', ...headers },
+  body
+});
+
+// Books a survey for a Lead through the Calendly webhook, so the ledger links them.
+async function bookedLead(start = '2030-05-01T09:00:00Z') {
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com', Status: 'Open' });
+  const event = calendly.addEvent({ start_time: start });
+  const invitee = calendly.addInvitee(event);
+  const res = await invoke(hook, { method: 'POST', ...delivery('invitee.created', { ...invitee, scheduled_event: event }) });
+  assert.equal(res.status, 200);
+  return { lead, event, invitee };
+}
+
+const cancellations = () => calendly.requests.filter(r => r.path.endsWith('/cancellation'));
+
+test('refuses callers without the token, and everyone when none is configured', async () => {
+  const xml = outboundMessage([{ id: '00Q1', status: 'Disqualified' }]);
+  assert.equal((await send(xml, { query: '' })).status, 401);
+  assert.equal((await send(xml, { query: '?token=wrong' })).status, 401);
+
+  delete process.env.SF_REVERSE_SYNC_TOKEN;
+  assert.equal((await send(xml)).status, 401);
+});
+
+test('an Outbound Message for a disqualified Lead cancels its survey and is acked', async () => {
+  const { lead, event, invitee } = await bookedLead();
+
+  const res = await send(outboundMessage([{ id: lead.Id, status: 'Disqualified' }]));
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /text\/xml/);
+  assert.match(res.body, /<notificationsResponse xmlns="http:\/\/soap.sforce.com\/2005\/09\/outbound"><Ack>true<\/Ack>/);
+  assert.equal(cancellations().length, 1);
+  assert.equal(cancellations()[0].body.reason, 'Lead closed in Salesforce (Disqualified)');
+  assert.equal(calendly.state.events.get(event.uri).status, 'canceled');
+
+  // Calendly's cancellation webhook then clears the Lead as usual.
+  const canceled = await invoke(hook, { method: 'POST', ...delivery('invitee.canceled', { ...calendly.state.invitees.get(invitee.uri), scheduled_event: calendly.state.events.get(event.uri) }) });
+  assert.equal(canceled.body.action, 'cancel');
+  assert.equal(lead.Survey_scheduled__c, null);
+});
+
+test('other statuses leave the booking alone', async () => {
+  const { lead, event } = await bookedLead();
+
+  const res = await send(outboundMessage([{ id: lead.Id, status: 'Working - Contacted' }, { id: lead.Id, status: null }]));
+
+  assert.equal(res.status, 200);
+  assert.equal(cancellations().length, 0);
+  assert.equal(calendly.state.events.get(event.uri).status, 'active');
+});
+
+test('Outbound Messages from another org are refused', async () => {
+  const { lead } = await bookedLead();
+  const res = await send(outboundMessage([{ id: lead.Id, status: 'Disqualified' }], { organizationId: '00D000000000999AAA' }));
+  assert.equal(res.status, 403);
+  assert.equal(cancellations().length, 0);
+});
+
+test('a failed cancellation is nacked so Salesforce redelivers', async () => {
+  const { lead, event } = await bookedLead();
+  calendly.failNext({ path: '/cancellation', status: 500, body: { title: 'Internal Server Error' } });
+
+  const first = await send(outboundMessage([{ id: lead.Id, status: 'Disqualified' }]));
+  assert.match(first.body, /<Ack>false<\/Ack>/);
+  assert.equal(calendly.state.events.get(event.uri).status, 'active');
+
+  const redelivered = await send(outboundMessage([{ id: lead.Id, status: 'Disqualified' }]));
+  assert.match(redelivered.body, /<Ack>true<\/Ack>/);
+  assert.equal(calendly.state.events.get(event.uri).status, 'canceled');
+});
+
+test('Change Data Capture JSON with a custom reason', async () => {
+  process.env.SYNC_REVERSE_CANCEL_STATUSES = 'Closed - Lost';
+  process.env.SYNC_REVERSE_CANCEL_REASON = 'No longer needed: {status}';
+  const { lead, event } = await bookedLead();
+
+  const res = await send({
+    data: {
+      schema: 'x',
+      payload: {
+        ChangeEventHeader: { entityName: 'Lead', changeType: 'UPDATE', changedFields: ['Status'], recordIds: [lead.Id] },
+        Status: 'Closed - Lost'
+      }
+    }
+  }, { query: '', headers: { authorization: `Bearer ${TOKEN}` } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.cancelled, 1);
+  assert.equal(res.body.results[0].bookings[0].eventUri, event.uri);
+  assert.equal(cancellations()[0].body.reason, 'No longer needed: Closed - Lost');
+});
+
+test('past and already-cancelled events are not cancelled again', async () => {
+  const { lead, event } = await bookedLead();
+  calendly.state.events.get(event.uri).start_time = '2020-01-01T09:00:00Z';
+
+  const past = await send({ leadId: lead.Id, status: 'Disqualified' });
+  assert.equal(past.body.results[0].bookings[0].status, 'past');
+
+  Object.assign(calendly.state.events.get(event.uri), { start_time: '2030-05-01T09:00:00Z', status: 'canceled' });
+  const again = await send({ leadId: lead.Id, status: 'Disqualified' });
+  assert.equal(again.body.results[0].bookings[0].status, 'already_canceled');
+  assert.equal(cancellations().length, 0);
+});
+
+test('a Calendly failure on the JSON path answers 502', async () => {
+  const { lead } = await bookedLead();
+  calendly.failNext({ path: '/cancellation', status: 503, body: { title: 'Service Unavailable' } });
+
+  const res = await send({ leadId: lead.Id, status: 'Disqualified' });
+
+  assert.equal(res.status, 502);
+  assert.equal(res.body.results[0].bookings[0].status, 'error');
+});
+
+test('finds bookings through the Salesforce Event when activity sync is on', async () => {
+  process.env.SYNC_SF_EVENTS = '1';
+  const lead = salesforce.addRecord('Lead', { LastName: 'Booker', Email: 'booker@example.com' });
+  const event = calendly.addEvent({ start_time: '2030-05-01T09:00:00Z' });
+  salesforce.addRecord('Event', { WhoId: lead.Id, Subject: 'Survey', Calendly_Event_URI__c: event.uri });
+
+  const res = await send({ leadId: lead.Id, status: 'Disqualified' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.cancelled, 1);
+  assert.equal(calendly.state.events.get(event.uri).status, 'canceled');
+});
+
+test('dry runs report without cancelling', async () => {
+  const { lead, event } = await bookedLead();
+
+  const res = await send({ leadId: lead.Id, status: 'Disqualified' }, { query: `?token=${TOKEN}&dryRun=1` });
+
+  assert.equal(res.body.dryRun, true);
+  assert.equal(res.body.results[0].bookings[0].status, 'canceled');
+  assert.equal(cancellations().length, 0);
+  assert.equal(calendly.state.events.get(event.uri).status, 'active');
+});